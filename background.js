@@ -1,184 +1,1335 @@
-// Background service worker for handling OpenRouter API calls and model management
+// Background service worker for handling provider API calls and model management
+
+importScripts('settings.js');
 
 // Constants
-const OPENROUTER_API_BASE = 'https://openrouter.ai/api/v1';
-const OPENROUTER_MODELS_ENDPOINT = `${OPENROUTER_API_BASE}/models`;
-const OPENROUTER_CHAT_ENDPOINT = `${OPENROUTER_API_BASE}/chat/completions`;
 const DEFAULT_MODEL = 'google/gemini-flash-1.5-8b';
 const RATE_LIMIT_WINDOW = 1000; // 1 second
 const MAX_REQUESTS_PER_WINDOW = 5;
+const CANDIDATE_TEMPERATURE_BOOST = 0.6; // alternative suggestions run hotter so they differ from the first
+const REQUEST_TIMEOUT = 15000; // ms before a completion request counts as failed
+const MAX_MODEL_RETRIES = 2; // retries of the same model after a transient failure, before falling back
+const BACKOFF_BASE_DELAY = 200; // ms before the first retry, doubled for each one after
+const BACKOFF_MAX_DELAY = 2000;
+const CIRCUIT_FAILURE_THRESHOLD = 3; // consecutive failures before a model is skipped
+const CIRCUIT_OPEN_DURATION = 60 * 1000; // how long a failing model is skipped
+const BENCHMARK_SITE = 'benchmark'; // site benchmark requests are recorded under in the usage stats
+const CHARS_PER_TOKEN = 4; // rough size of a token, for requests the provider reports no usage for
+
+// Sample texts each model is given by the benchmark
+const BENCHMARK_SAMPLES = [
+  { context: 'Thanks for getting back to me so quickly. I will review the document and ', fieldLabel: 'Message' },
+  { context: 'The quarterly results show that revenue grew by 12% while operating costs ', fieldLabel: 'Report' },
+  { context: 'how to reverse a linked list in ', fieldLabel: 'Search' },
+  { context: 'Hey! Are you still up for dinner ', suffix: ' or should we move it to next week?', fieldLabel: 'Chat' },
+  { context: 'Steps to reproduce: open the settings page, change the language and ', fieldLabel: 'Bug report' }
+];
+
+// Prompts (the system prompt itself comes from the completion style, see PROMPT_PRESETS)
+const FIM_CURSOR_MARKER = '<CURSOR>';
+const FIM_INSTRUCTION = ' The user\'s text contains a <CURSOR> marker. Return ONLY the text that belongs at the marker so the text before and after it reads naturally, and do not repeat the text after the marker.';
+
+// Values used when a prompt variable is unknown for a request
+const PROMPT_VARIABLE_FALLBACKS = {
+  site: 'a website',
+  fieldLabel: 'text',
+  language: 'the same language as the text'
+};
+
+// Models with native fill-in-the-middle support, prompted through the raw completions endpoint
+const FIM_TEMPLATES = [
+  {
+    pattern: /^mistralai\/codestral/,
+    build: (prefix, suffix) => `[SUFFIX]${suffix}[PREFIX]${prefix}`
+  },
+  {
+    pattern: /^qwen\/qwen-?2\.5-coder/,
+    build: (prefix, suffix) => `<|fim_prefix|>${prefix}<|fim_suffix|>${suffix}<|fim_middle|>`
+  },
+  {
+    pattern: /^deepseek\/deepseek-coder/,
+    build: (prefix, suffix) => `<｜fim▁begin｜>${prefix}<｜fim▁hole｜>${suffix}<｜fim▁end｜>`
+  }
+];
+
+/**
+ * Protocol details for each provider type (see PROVIDER_TYPES in settings.js)
+ * All three speak the OpenAI chat format for completions; they differ in auth,
+ * endpoint paths and the shape of their model list.
+ */
+const PROVIDER_ADAPTERS = {
+  openrouter: {
+    authScheme: 'bearer',
+    headers: {
+      'HTTP-Referer': 'chrome-extension://ai-autocomplete',
+      'X-Title': 'AI Autocomplete Extension'
+    },
+    modelsPath: '/models',
+    keyPath: '/key', // key details: spending limit, free tier, rate limit
+    creditsPath: '/credits', // account balance
+    chatPath: '/chat/completions',
+    completionsPath: '/completions',
+    supportsNativeFim: true,
+    supportsMultipleChoices: false,
+    billed: true,
+    parseModels: (data) => data.data || []
+  },
+  openai: {
+    authScheme: 'bearer',
+    headers: {},
+    modelsPath: '/models',
+    chatPath: '/chat/completions',
+    completionsPath: '/completions',
+    supportsNativeFim: false,
+    supportsMultipleChoices: true, // several samples from one request with n
+    billed: true, // may be a paid API, priced from the model list where it has pricing
+    parseModels: (data) => data.data || []
+  },
+  ollama: {
+    authScheme: 'none',
+    headers: {},
+    modelsPath: '/api/tags',
+    chatPath: '/v1/chat/completions',
+    completionsPath: '/v1/completions',
+    supportsNativeFim: false,
+    supportsMultipleChoices: false,
+    billed: false, // runs on the user's own machine
+    parseModels: (data) => (data.models || []).map(model => ({
+      id: model.name,
+      name: model.name,
+      context_length: model.details?.context_length
+    }))
+  }
+};
 
 // Rate limiting
 let requestTimestamps = [];
 
-// Completion cache to reduce API calls
-const completionCache = new Map();
-const CACHE_MAX_SIZE = 100;
-const CACHE_EXPIRY = 5 * 60 * 1000; // 5 minutes
+// Completion cache to reduce API calls, persisted to session storage so it
+// survives the service worker being suspended. Map order is least to most recently used.
+const CACHE_STORAGE_KEY = 'completionCache';
+let completionCache = null;
+let completionCacheLoading = null;
+
+// Active request tracking for cancellation
+const activeRequests = new Map();
+
+// Circuit breaker state by model: { failures, openUntil }
+const modelCircuits = new Map();
+
+// Usage statistics are kept for this many days; writes are queued so concurrent
+// requests don't overwrite each other's read-modify-write
+const USAGE_RETENTION_DAYS = 90;
+let usageWriteQueue = Promise.resolve();
+
+// The audit log is kept under this many bytes of JSON, dropping the oldest entries, well
+// within the storage.local quota; writes are queued like usage statistics, and entries
+// logged while a write is waiting are saved together
+const AUDIT_LOG_MAX_BYTES = 2 * 1024 * 1024;
+let auditLogWriteQueue = Promise.resolve();
+let pendingAuditEntries = [];
+// Whether a save error may be on record for the popup, cleared by the next successful save
+let hasAuditLogError = true;
+
+/**
+ * Initialize extension on install
+ */
+chrome.runtime.onInstalled.addListener(async () => {
+  console.log('AI Autocomplete Extension installed');
+
+  // Set default model if not already set (only OpenRouter has one)
+  const provider = await getActiveProvider();
+  const { selectedModel } = await chrome.storage.sync.get('selectedModel');
+  if (!selectedModel && getDefaultModel(provider)) {
+    await chrome.storage.sync.set({ selectedModel: getDefaultModel(provider) });
+  }
+
+  // Fetch and cache models
+  await fetchAndCacheModels();
+
+  // Set up periodic model refresh (every 24 hours)
+  chrome.alarms.create('refreshModels', { periodInMinutes: 1440 });
+
+  // Expire old audit log entries (every hour)
+  chrome.alarms.create('auditLogExpiry', { periodInMinutes: 60 });
+
+  scheduleBudgetReset();
+  await updateBadge();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  // Alarms may not survive a browser restart, so make sure the expiry one exists
+  chrome.alarms.create('auditLogExpiry', { periodInMinutes: 60 });
+  scheduleBudgetReset();
+  updateBadge();
+  expireAuditLog();
+});
+
+/**
+ * Reflect the global on/off state and spend budget in the toolbar badge
+ * Off takes precedence; otherwise a budget past its warning level shows how much is used.
+ */
+async function updateBadge() {
+  const settings = await getSettings();
+
+  if (!settings.enabled) {
+    await chrome.action.setBadgeText({ text: 'OFF' });
+    await chrome.action.setBadgeBackgroundColor({ color: '#6c757d' });
+    return;
+  }
+
+  const budget = getBudgetStatus(settings, await loadUsageStats());
+  if (budget.state === 'warning' || budget.state === 'exhausted') {
+    await chrome.action.setBadgeText({ text: `${Math.min(100, Math.floor(budget.ratio * 100))}%` });
+    await chrome.action.setBadgeBackgroundColor({ color: budget.state === 'exhausted' ? '#dc3545' : '#fd7e14' });
+    return;
+  }
+
+  await chrome.action.setBadgeText({ text: '' });
+}
+
+/**
+ * Schedule the budget reset alarm for the next local midnight
+ * Daily and monthly spend are read per calendar day, so the alarm only has to
+ * re-check the budget; it is rescheduled each time so it follows DST changes.
+ */
+function scheduleBudgetReset() {
+  const midnight = new Date();
+  midnight.setHours(24, 0, 0, 0);
+  chrome.alarms.create('budgetReset', { when: midnight.getTime() });
+}
+
+/**
+ * Handle keyboard commands registered in manifest.json
+ */
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command === 'toggle-autocomplete') {
+    const { enabled } = await getSettings();
+    await chrome.storage.sync.set({ enabled: !enabled });
+    console.log(`Autocomplete ${enabled ? 'disabled' : 'enabled'} from keyboard shortcut`);
+  }
+});
+
+// Keep the badge in sync however the settings change (popup, command or another device)
+// and as spend is recorded
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  const badgeSettings = ['enabled', 'budgetUnit', 'dailyBudget', 'monthlyBudget'];
+  if (areaName === 'sync' && badgeSettings.some(name => changes[name])) {
+    updateBadge();
+  }
+
+  if (areaName === 'local' && changes[USAGE_STATS_KEY]) {
+    updateBadge();
+  }
+});
+
+/**
+ * Get the active provider with its adapter and a normalized base URL
+ */
+async function getActiveProvider() {
+  const settings = await getSettings();
+  const provider = getActiveProviderSettings(settings);
+  const adapter = PROVIDER_ADAPTERS[provider.type] || PROVIDER_ADAPTERS.openai;
+  const type = PROVIDER_TYPES[provider.type] || PROVIDER_TYPES.openai;
+
+  return {
+    ...provider,
+    requiresApiKey: type.requiresApiKey,
+    adapter: adapter,
+    baseUrl: (provider.baseUrl || type.defaultBaseUrl).replace(/\/+$/, '')
+  };
+}
+
+/**
+ * Build request headers for a provider, including its auth scheme
+ */
+function buildProviderHeaders(provider, extraHeaders = {}) {
+  const headers = { ...provider.adapter.headers, ...extraHeaders };
+
+  if (provider.adapter.authScheme === 'bearer' && provider.apiKey) {
+    headers['Authorization'] = `Bearer ${provider.apiKey}`;
+  }
+
+  return headers;
+}
+
+/**
+ * Fetch available models from the active provider and cache them
+ */
+async function fetchAndCacheModels() {
+  try {
+    const provider = await getActiveProvider();
+
+    if (provider.requiresApiKey && !provider.apiKey) {
+      console.log('No API key configured yet');
+      return;
+    }
+
+    const response = await fetch(`${provider.baseUrl}${provider.adapter.modelsPath}`, {
+      headers: buildProviderHeaders(provider)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch models: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    const models = provider.adapter.parseModels(data);
+
+    // Keep models that write text (exclude image, audio, embedding models etc.)
+    const textModels = models.filter(isTextModel);
+
+    // Cache the filtered models, remembering which provider they belong to
+    await chrome.storage.local.set({
+      cachedModels: textModels,
+      modelsCachedAt: Date.now(),
+      modelsProviderId: provider.id
+    });
+
+    console.log(`Cached ${textModels.length} text models from ${provider.name}`);
+  } catch (error) {
+    console.error('Error fetching models:', error);
+  }
+}
+
+/**
+ * Test the connection to the active provider, optionally with a key that has not been saved yet
+ * Calls the key endpoint where the provider has one (OpenRouter) and the model list otherwise.
+ * Resolves to { status, message, credits, rateLimit } where status is one of 'connected',
+ * 'notConfigured', 'invalidKey', 'noCredits', 'networkError' or 'error'.
+ */
+async function testConnection(apiKey) {
+  const activeProvider = await getActiveProvider();
+  const provider = apiKey ? { ...activeProvider, apiKey } : activeProvider;
+
+  if (provider.requiresApiKey && !provider.apiKey) {
+    return { status: 'notConfigured', message: 'No API key configured' };
+  }
+
+  const request = (path) => fetch(`${provider.baseUrl}${path}`, {
+    headers: buildProviderHeaders(provider),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+
+  let response;
+  try {
+    response = await request(provider.adapter.keyPath || provider.adapter.modelsPath);
+  } catch (error) {
+    console.warn('[Background] Connection test failed:', error.message);
+    return { status: 'networkError', message: `Could not reach ${provider.name}` };
+  }
+
+  if (response.status === 401 || response.status === 403) {
+    return { status: 'invalidKey', message: 'The API key was rejected' };
+  }
+  if (response.status === 402) {
+    return { status: 'noCredits', message: 'No credits left' };
+  }
+  if (!response.ok) {
+    return { status: 'error', message: `${provider.name} responded with ${response.status}` };
+  }
+
+  if (!provider.adapter.keyPath) {
+    return { status: 'connected', message: `Connected to ${provider.name}` };
+  }
+
+  const { data: key = {} } = await response.json();
+  const rateLimit = key.rate_limit ? { requests: key.rate_limit.requests, interval: key.rate_limit.interval } : null;
+
+  // The balance is optional detail; the key check above already decided the connection
+  let credits = null;
+  try {
+    const creditsResponse = await request(provider.adapter.creditsPath);
+    if (creditsResponse.ok) {
+      const { data } = await creditsResponse.json();
+      credits = { total: data.total_credits, used: data.total_usage, remaining: data.total_credits - data.total_usage };
+    }
+  } catch (error) {
+    console.warn('[Background] Could not fetch credits:', error.message);
+  }
+
+  // A spending limit on the key can run out before the account balance does
+  const keyLimitReached = typeof key.limit_remaining === 'number' && key.limit_remaining <= 0;
+  const balanceUsedUp = credits && credits.remaining <= 0 && !key.is_free_tier;
+
+  if (keyLimitReached || balanceUsedUp) {
+    return {
+      status: 'noCredits',
+      message: keyLimitReached ? 'The key\'s spending limit is used up' : 'No credits left',
+      credits,
+      rateLimit
+    };
+  }
+
+  return { status: 'connected', message: `Connected to ${provider.name}`, credits, rateLimit, freeTier: !!key.is_free_tier };
+}
+
+/**
+ * Check if a model produces text, from its architecture metadata where the provider
+ * supplies it (OpenRouter), otherwise from well-known non-text model names
+ */
+function isTextModel(model) {
+  const architecture = model.architecture;
+
+  if (architecture?.output_modalities) {
+    return architecture.output_modalities.includes('text');
+  }
+
+  if (architecture?.modality) {
+    return architecture.modality.split('->').pop().split('+').includes('text');
+  }
+
+  const id = model.id.toLowerCase();
+  return !['whisper', 'dall-e', 'dalle', 'tts', 'embedding'].some(name => id.includes(name));
+}
+
+/**
+ * Get cached models, ignoring any cached for a provider that is no longer active
+ */
+async function getCachedModels() {
+  const [{ cachedModels, modelsProviderId }, settings] = await Promise.all([
+    chrome.storage.local.get(['cachedModels', 'modelsProviderId']),
+    getSettings()
+  ]);
+
+  const providerId = getActiveProviderSettings(settings).id;
+  return modelsProviderId === providerId ? (cachedModels || []) : [];
+}
+
+/**
+ * Check if rate limit is exceeded
+ */
+function isRateLimited() {
+  const now = Date.now();
+
+  // Remove timestamps older than the rate limit window
+  requestTimestamps = requestTimestamps.filter(
+    timestamp => now - timestamp < RATE_LIMIT_WINDOW
+  );
+
+  return requestTimestamps.length >= MAX_REQUESTS_PER_WINDOW;
+}
+
+/**
+ * Record a new request timestamp
+ */
+function recordRequest() {
+  requestTimestamps.push(Date.now());
+}
+
+/**
+ * Hash a string to a short hex digest (32-bit FNV-1a)
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Generate a cache key from context
+ * The namespace identifies everything else that shapes a completion (provider,
+ * model, sampling, prompt) and is hashed, as prompts with page context are long.
+ * Trailing whitespace is significant because it changes the spacing of the completion.
+ */
+function getCacheKey(namespace, context, suffix) {
+  return JSON.stringify([hashString(namespace), context, suffix]);
+}
+
+/**
+ * Get the cache lifetime and size from settings
+ */
+function getCacheOptions(settings) {
+  return {
+    ttl: clampSetting('cacheTtlMinutes', settings.cacheTtlMinutes) * 60 * 1000,
+    maxEntries: clampSetting('cacheMaxEntries', settings.cacheMaxEntries)
+  };
+}
+
+/**
+ * Load the completion cache from session storage, once per service worker lifetime
+ */
+async function loadCompletionCache() {
+  if (completionCache) {
+    return completionCache;
+  }
+
+  if (!completionCacheLoading) {
+    completionCacheLoading = chrome.storage.session.get(CACHE_STORAGE_KEY)
+      .then(stored => new Map(stored[CACHE_STORAGE_KEY] || []))
+      .catch(error => {
+        console.warn('[Background] Could not restore completion cache:', error.message);
+        return new Map();
+      })
+      .then(cache => {
+        completionCache = cache;
+        return cache;
+      });
+  }
+
+  return completionCacheLoading;
+}
+
+/**
+ * Write the completion cache back to session storage
+ */
+function persistCompletionCache() {
+  chrome.storage.session.set({ [CACHE_STORAGE_KEY]: Array.from(completionCache) })
+    .catch(error => console.warn('[Background] Could not persist completion cache:', error.message));
+}
+
+/**
+ * Get the completions the user has started typing from a cached entry
+ * Matches when the context is the cached context plus typed text (trimmed to
+ * the context window the content script sends) and a suggestion starts with
+ * that text. Returns the rest of each matching suggestion, or null.
+ */
+function getTypedAheadCompletions(entry, context, maxContextLength) {
+  const longest = Math.max(...entry.completions.map(completion => completion.length));
+
+  for (let typedLength = 1; typedLength < longest && typedLength <= context.length; typedLength++) {
+    const typed = context.slice(-typedLength);
+    if ((entry.context + typed).slice(-maxContextLength) !== context) {
+      continue;
+    }
+
+    const remainders = entry.completions
+      .filter(completion => completion.length > typedLength && completion.startsWith(typed))
+      .map(completion => completion.slice(typedLength));
+
+    return remainders.length > 0 ? remainders : null;
+  }
+
+  return null;
+}
+
+/**
+ * Get completions from cache if available and not expired
+ * Falls back to the rest of a cached suggestion the user has started typing
+ */
+async function getCachedCompletion(namespace, context, suffix, { ttl, maxContextLength }) {
+  const cache = await loadCompletionCache();
+  const now = Date.now();
+  const namespaceHash = hashString(namespace);
+
+  let result = null;
+  let isChanged = false;
+
+  for (const [key, entry] of cache) {
+    if (now - entry.timestamp >= ttl) {
+      cache.delete(key);
+      isChanged = true;
+    }
+  }
+
+  const key = getCacheKey(namespace, context, suffix);
+  const exact = cache.get(key);
+  if (exact) {
+    // Move to the most recently used end
+    cache.delete(key);
+    cache.set(key, exact);
+    result = exact.completions;
+    isChanged = true;
+  } else {
+    // Most recently used entries are the likeliest to be typed ahead of
+    for (const [entryKey, entry] of Array.from(cache).reverse()) {
+      if (entry.namespace !== namespaceHash || entry.suffix !== suffix) {
+        continue;
+      }
+
+      result = getTypedAheadCompletions(entry, context, maxContextLength);
+      if (result) {
+        console.log('[Background] Reusing cached completion typed ahead of');
+        cache.delete(entryKey);
+        cache.set(entryKey, entry);
+        isChanged = true;
+        break;
+      }
+    }
+  }
+
+  if (isChanged) {
+    persistCompletionCache();
+  }
+
+  return result;
+}
+
+/**
+ * Cache the completions for a context, evicting the least recently used entries
+ */
+async function cacheCompletions(namespace, context, suffix, completions, { ttl, maxEntries }) {
+  if (ttl <= 0) {
+    return;
+  }
+
+  const cache = await loadCompletionCache();
+  const key = getCacheKey(namespace, context, suffix);
+
+  cache.delete(key);
+  cache.set(key, {
+    namespace: hashString(namespace),
+    context,
+    suffix,
+    completions,
+    timestamp: Date.now()
+  });
+
+  while (cache.size > maxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  persistCompletionCache();
+}
+
+/**
+ * Fill in {site}, {fieldLabel} and {language} in a prompt template
+ */
+function renderPromptTemplate(template, variables) {
+  return template.replace(/\{(site|fieldLabel|language)\}/g, (match, name) =>
+    variables[name] || PROMPT_VARIABLE_FALLBACKS[name]
+  );
+}
+
+/**
+ * Describe the configured completion length to the model
+ * The content script truncates to the same length, so this only avoids wasted tokens.
+ * Code is limited to CODE_LINE_LIMIT lines instead of a number of words.
+ */
+function getLengthInstruction(generation, codeEditor) {
+  if (codeEditor) {
+    return ` Keep the completion to at most ${CODE_LINE_LIMIT} lines, with the indentation and line breaks the code needs.`;
+  }
+
+  if (generation.lengthMode === 'sentence') {
+    return ' You may continue up to the end of the current sentence, but not beyond it.';
+  }
+
+  return ` Keep the completion to at most ${generation.wordLimit} words.`;
+}
+
+/**
+ * Describe the page around the field, collected by the content script in richContext mode
+ * It goes in the system prompt, so raw fill-in-the-middle prompts do without it
+ */
+function formatPageContext(pageContext) {
+  if (!pageContext) {
+    return '';
+  }
+
+  const lines = [];
+  if (pageContext.title) {
+    lines.push(`Page title: ${pageContext.title}`);
+  }
+  if (pageContext.headings?.length) {
+    lines.push(`Section: ${pageContext.headings.join(' > ')}`);
+  }
+  (pageContext.fields || []).forEach(({ label, value }) => {
+    lines.push(`${label || 'Field'}: ${value}`);
+  });
+
+  if (lines.length === 0) {
+    return '';
+  }
+
+  return `\n\nContext from the page, for reference only (do not repeat it):\n${lines.join('\n')}`;
+}
+
+/**
+ * Build the endpoint and request body for a completion
+ * Mid-text requests use native FIM for models that support it and a marker prompt otherwise
+ */
+function buildCompletionRequest(provider, model, context, suffix, { streaming, temperature, maxTokens, samples = 1, systemPrompt }) {
+  const chatEndpoint = `${provider.baseUrl}${provider.adapter.chatPath}`;
+
+  const options = {
+    model: model,
+    max_tokens: maxTokens,
+    temperature: temperature,
+    stream: streaming
+  };
+
+  if (samples > 1) {
+    options.n = samples;
+  }
+
+  // Ask for token counts in the final chunk of a stream
+  if (streaming) {
+    options.stream_options = { include_usage: true };
+  }
+
+  if (suffix) {
+    const template = provider.adapter.supportsNativeFim &&
+      FIM_TEMPLATES.find(({ pattern }) => pattern.test(model));
+
+    if (template) {
+      return {
+        endpoint: `${provider.baseUrl}${provider.adapter.completionsPath}`,
+        body: { ...options, prompt: template.build(context, suffix) }
+      };
+    }
+
+    return {
+      endpoint: chatEndpoint,
+      body: {
+        ...options,
+        messages: [
+          { role: 'system', content: systemPrompt + FIM_INSTRUCTION },
+          { role: 'user', content: `${context}${FIM_CURSOR_MARKER}${suffix}` }
+        ]
+      }
+    };
+  }
+
+  return {
+    endpoint: chatEndpoint,
+    body: {
+      ...options,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: context }
+      ]
+    }
+  };
+}
+
+/**
+ * Add the spacing needed for a completion to join the text around the cursor
+ * Partial (streamed) text keeps its trailing whitespace so word boundaries stay visible.
+ * Code keeps its whitespace as written, so indentation and line breaks survive; only
+ * trailing whitespace is dropped from the final text.
+ */
+function normalizeCompletion(text, context, suffix, isPartial, isCode = false) {
+  if (isCode) {
+    // Models occasionally echo the marker from the FIM prompt
+    let code = text.split(FIM_CURSOR_MARKER).join('');
+    code = isPartial ? code : code.trimEnd();
+
+    // Keep a word after the cursor from running into the one before it ("return" + "x")
+    if (/\w$/.test(context) && /^\w/.test(code)) {
+      code = ' ' + code;
+    }
+
+    return code;
+  }
+
+  let completion = isPartial ? text.trimStart() : text.trim();
+
+  // Models occasionally echo the marker from the FIM prompt
+  completion = completion.split(FIM_CURSOR_MARKER).join('');
+
+  if (!completion) {
+    return '';
+  }
+
+  // Separate from the word before the cursor unless the completion starts with punctuation
+  if (/\S$/.test(context) && !/^[,.;:!?)\]}]/.test(completion)) {
+    completion = ' ' + completion;
+  }
+
+  // Separate from the word after the cursor
+  if (!isPartial && /^\w/.test(suffix) && /\w$/.test(completion)) {
+    completion += ' ';
+  }
+
+  return completion;
+}
+
+/**
+ * Remove empty and duplicate completions, ignoring case and surrounding whitespace
+ */
+function dedupeCompletions(completions) {
+  const seen = new Set();
+
+  return completions.filter(completion => {
+    const key = completion.trim().toLowerCase();
+    if (!key || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Read an OpenRouter SSE stream, reporting the accumulated text after each delta
+ */
+async function readCompletionStream(response, onPartial) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let usage = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Keep the trailing partial line in the buffer until its newline arrives
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+
+      // Skip blank separators and SSE comments (OpenRouter sends keep-alive comments)
+      if (!trimmed.startsWith('data:')) {
+        continue;
+      }
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') {
+        return { text, usage };
+      }
+
+      try {
+        const chunk = JSON.parse(payload);
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        // Chat responses stream deltas; raw (FIM) completions stream text
+        const delta = chunk.choices?.[0]?.delta?.content ?? chunk.choices?.[0]?.text;
+        if (delta) {
+          text += delta;
+          onPartial(text);
+        }
+      } catch (error) {
+        console.warn('[Background] Skipping malformed stream chunk:', payload);
+      }
+    }
+  }
+
+  return { text, usage };
+}
+
+/**
+ * Request a completion from a provider
+ * Returns the raw text of each sample, the token usage reported by the provider (or null)
+ * and the request body that was sent.
+ * samples above 1 asks for that many choices in one request (see supportsMultipleChoices).
+ * Streams when onPartial is given, reporting the accumulated text as it arrives.
+ * onSettled is told how the request ended, whether it succeeded, failed or was cancelled:
+ * { model, body, outcome ('ok', 'cancelled' or 'error'), texts, usage, latencyMs, error }
+ */
+async function fetchCompletionText(provider, model, context, suffix, { temperature, maxTokens, samples, systemPrompt, signal, onPartial, onSettled }) {
+  const streaming = typeof onPartial === 'function';
+  const { endpoint, body } = buildCompletionRequest(provider, model, context, suffix, {
+    streaming,
+    temperature,
+    maxTokens,
+    samples,
+    systemPrompt
+  });
+
+  const startedAt = Date.now();
+  let streamedText = '';
+  const settle = (outcome, details) => {
+    if (onSettled) {
+      onSettled({ model, body, outcome, texts: [streamedText], usage: null, latencyMs: Date.now() - startedAt, ...details });
+    }
+  };
+
+  try {
+    // Make API request, giving up after REQUEST_TIMEOUT (a TimeoutError rather than an AbortError)
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: buildProviderHeaders(provider, { 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body),
+      signal: AbortSignal.any([signal, AbortSignal.timeout(REQUEST_TIMEOUT)])
+    });
+
+    console.log('[Background] API response status:', response.status);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('[Background] API error response:', errorText);
+      const error = new Error(`API request failed: ${response.status} ${errorText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    let result;
+    if (streaming) {
+      const { text, usage } = await readCompletionStream(response, (partial) => {
+        streamedText = partial;
+        onPartial(partial);
+      });
+      result = { texts: [text], usage, body };
+    } else {
+      const data = await response.json();
+      console.log('[Background] API response data:', data);
+      result = {
+        texts: (data.choices || []).map(choice => choice.message?.content ?? choice.text ?? ''),
+        usage: data.usage || null,
+        body: body
+      };
+    }
+
+    settle('ok', result);
+    return result;
+  } catch (error) {
+    settle(error.name === 'AbortError' ? 'cancelled' : 'error', { error });
+    throw error;
+  }
+}
+
+/**
+ * Get a model's pricing (dollars per token) from the cached model list
+ * Providers that aren't billed are free; null means the price is unknown, e.g. for a
+ * model missing from the list or a provider whose list has no pricing or isn't loaded.
+ */
+async function getModelPricing(provider, model) {
+  if (!provider.adapter.billed) {
+    return { prompt: 0, completion: 0 };
+  }
+
+  const models = await getCachedModels();
+  const pricing = models.find(({ id }) => id === model)?.pricing;
+  if (!pricing) {
+    return null;
+  }
+
+  return { prompt: Number(pricing.prompt) || 0, completion: Number(pricing.completion) || 0 };
+}
 
-// Active request tracking for cancellation
-const activeRequests = new Map();
+/**
+ * Estimate the tokens in a piece of text
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
 
 /**
- * Initialize extension on install
+ * Work out the tokens and cost of a request sent to a provider, however it ended
+ * The provider's reported usage is used where there is one. Without it (cancelled and
+ * failed requests, or providers that don't report usage) tokens are estimated from the
+ * prompt and the text streamed so far; a request that wasn't streamed and ended without
+ * an answer is counted at its token limit, as the provider may have generated it anyway.
+ * A request refused with an error status never reached the model and costs nothing.
+ * Providers that report a cost directly (OpenRouter with usage accounting) are trusted;
+ * otherwise cost is priced from the model list, and is null when the price is unknown.
  */
-chrome.runtime.onInstalled.addListener(async () => {
-  console.log('AI Autocomplete Extension installed');
+async function getRequestUsage(provider, { model, body, outcome, texts, usage, error }) {
+  let promptTokens = 0;
+  let completionTokens = 0;
 
-  // Set default model if not already set
-  const { selectedModel } = await chrome.storage.sync.get('selectedModel');
-  if (!selectedModel) {
-    await chrome.storage.sync.set({ selectedModel: DEFAULT_MODEL });
+  if (usage) {
+    promptTokens = usage.prompt_tokens || 0;
+    completionTokens = usage.completion_tokens || 0;
+  } else if (!error?.status) {
+    const prompt = body.messages ? body.messages.map(({ content }) => content).join('\n') : body.prompt;
+    promptTokens = estimateTokens(prompt);
+    completionTokens = outcome === 'ok' || body.stream
+      ? estimateTokens(texts.join(''))
+      : body.max_tokens * (body.n || 1);
   }
 
-  // Fetch and cache models
-  await fetchAndCacheModels();
+  if (typeof usage?.cost === 'number') {
+    return { promptTokens, completionTokens, cost: usage.cost };
+  }
 
-  // Set up periodic model refresh (every 24 hours)
-  chrome.alarms.create('refreshModels', { periodInMinutes: 1440 });
-});
+  if (promptTokens === 0 && completionTokens === 0) {
+    return { promptTokens, completionTokens, cost: 0 };
+  }
+
+  const pricing = await getModelPricing(provider, model);
+  const cost = pricing ? promptTokens * pricing.prompt + completionTokens * pricing.completion : null;
+  return { promptTokens, completionTokens, cost };
+}
 
 /**
- * Fetch available models from OpenRouter and cache them
+ * Add up the tokens and cost of several requests; the cost is null if any of them is unknown
  */
-async function fetchAndCacheModels() {
-  try {
-    const { apiKey } = await chrome.storage.sync.get('apiKey');
+function sumRequestUsage(usages) {
+  return usages.reduce((total, usage) => ({
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    cost: total.cost === null || usage.cost === null ? null : total.cost + usage.cost
+  }), { promptTokens: 0, completionTokens: 0, cost: 0 });
+}
 
-    if (!apiKey) {
-      console.log('No API key configured yet');
-      return;
-    }
+/**
+ * Load the usage statistics recorded so far
+ */
+async function loadUsageStats() {
+  const { [USAGE_STATS_KEY]: stats } = await chrome.storage.local.get(USAGE_STATS_KEY);
+  return stats || {};
+}
 
-    const response = await fetch(OPENROUTER_MODELS_ENDPOINT, {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'HTTP-Referer': 'chrome-extension://ai-autocomplete',
-        'X-Title': 'AI Autocomplete Extension'
-      }
-    });
+/**
+ * Apply an update to today's usage totals for a site and model
+ */
+function updateUsageStats(site, model, update) {
+  usageWriteQueue = usageWriteQueue
+    .then(async () => {
+      const stats = await loadUsageStats();
+      const day = getLocalDayKey(new Date());
+      const siteKey = site || 'unknown';
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.statusText}`);
-    }
+      stats[day] = stats[day] || {};
+      stats[day][siteKey] = stats[day][siteKey] || {};
+      stats[day][siteKey][model] = { ...createUsageTotals(), ...stats[day][siteKey][model] };
+      update(stats[day][siteKey][model]);
 
-    const data = await response.json();
+      // Drop days past the retention period
+      const oldest = getLocalDayKey(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+      Object.keys(stats).forEach(key => {
+        if (key < oldest) {
+          delete stats[key];
+        }
+      });
 
-    // Filter for text completion models (exclude image, audio, etc.)
-    const textModels = data.data.filter(model => {
-      const id = model.id.toLowerCase();
-      return !id.includes('image') &&
-             !id.includes('audio') &&
-             !id.includes('vision') &&
-             !id.includes('whisper') &&
-             !id.includes('dalle') &&
-             !id.includes('tts');
-    });
+      await chrome.storage.local.set({ [USAGE_STATS_KEY]: stats });
+    })
+    .catch(error => console.warn('[Background] Could not record usage:', error.message));
 
-    // Cache the filtered models
-    await chrome.storage.local.set({
-      cachedModels: textModels,
-      modelsCachedAt: Date.now()
+  return usageWriteQueue;
+}
+
+/**
+ * Change the audit log through the write queue
+ */
+function updateAuditLog(update) {
+  auditLogWriteQueue = auditLogWriteQueue
+    .then(async () => {
+      const { [AUDIT_LOG_KEY]: log } = await chrome.storage.local.get(AUDIT_LOG_KEY);
+      await chrome.storage.local.set({ [AUDIT_LOG_KEY]: update(log || []) });
+
+      if (hasAuditLogError) {
+        hasAuditLogError = false;
+        await chrome.storage.local.remove(AUDIT_LOG_ERROR_KEY);
+      }
+    })
+    .catch(async (error) => {
+      // Keep the reason where the popup shows it, e.g. the storage quota being full
+      console.warn('[Background] Could not update audit log:', error.message);
+      hasAuditLogError = true;
+      await chrome.storage.local.set({ [AUDIT_LOG_ERROR_KEY]: { time: Date.now(), message: error.message } })
+        .catch(() => {});
     });
 
-    console.log(`Cached ${textModels.length} text models`);
-  } catch (error) {
-    console.error('Error fetching models:', error);
+  return auditLogWriteQueue;
+}
+
+/**
+ * Drop the oldest audit log entries until the log fits in AUDIT_LOG_MAX_BYTES
+ */
+function fitAuditLog(log) {
+  const sizes = log.map(entry => JSON.stringify(entry).length + 1);
+  let size = sizes.reduce((total, entrySize) => total + entrySize, 1);
+  let start = 0;
+
+  while (size > AUDIT_LOG_MAX_BYTES && start < log.length) {
+    size -= sizes[start];
+    start++;
   }
+
+  return log.slice(start);
 }
 
 /**
- * Check if rate limit is exceeded
+ * Log a request sent to a model and what came back, if the audit log is turned on
+ * Called for every request once it settles (see fetchCompletionText), so retries,
+ * fallbacks and alternatives each get an entry. payload is the prompt exactly as sent:
+ * the chat messages, with the rendered system prompt, or the raw completion prompt.
  */
-function isRateLimited() {
-  const now = Date.now();
+function recordAuditEntry(settings, request, { model, body, outcome, texts, error }) {
+  if (!settings.auditLog) {
+    return Promise.resolve();
+  }
 
-  // Remove timestamps older than the rate limit window
-  requestTimestamps = requestTimestamps.filter(
-    timestamp => now - timestamp < RATE_LIMIT_WINDOW
-  );
+  let origin = request.site || 'unknown';
+  try {
+    origin = new URL(request.url).origin;
+  } catch (urlError) {
+    // Requests without a page URL, such as benchmarks, are logged by site
+  }
 
-  return requestTimestamps.length >= MAX_REQUESTS_PER_WINDOW;
+  pendingAuditEntries.push({
+    time: Date.now(),
+    origin,
+    model,
+    outcome,
+    samples: body.n || 1,
+    payload: body.messages || body.prompt,
+    completion: texts.join('\n'),
+    error: outcome === 'cancelled' ? 'Cancelled' : error?.message || null
+  });
+
+  // A write already waiting in the queue will save this entry along with its own
+  if (pendingAuditEntries.length > 1) {
+    return auditLogWriteQueue;
+  }
+
+  return updateAuditLog(log => fitAuditLog([...log, ...pendingAuditEntries.splice(0)]));
 }
 
 /**
- * Record a new request timestamp
+ * Drop audit log entries older than the retention period
  */
-function recordRequest() {
-  requestTimestamps.push(Date.now());
+async function expireAuditLog() {
+  const { auditLogRetentionDays } = await getSettings();
+  const oldest = Date.now() - clampSetting('auditLogRetentionDays', auditLogRetentionDays) * 24 * 60 * 60 * 1000;
+
+  return updateAuditLog(log => log.filter(entry => entry.time >= oldest));
 }
 
 /**
- * Generate a cache key from context
+ * Record a cache hit, or a request sent to a provider and how it ended: its outcome
+ * ('ok', 'cancelled' or 'error'), token usage and cost, and latency (of answered requests)
+ * A null cost (unknown pricing) is counted as unpriced rather than as free.
  */
-function getCacheKey(context, model) {
-  return `${model}:${context.trim()}`;
+function recordUsage(site, model, { outcome = 'ok', promptTokens = 0, completionTokens = 0, cost = 0, latencyMs = 0, cacheHit = false }) {
+  return updateUsageStats(site, model, (totals) => {
+    totals.requests++;
+    totals.cacheHits += cacheHit ? 1 : 0;
+    totals.cancelled += outcome === 'cancelled' ? 1 : 0;
+    totals.failed += outcome === 'error' ? 1 : 0;
+    totals.unpriced += cost === null ? 1 : 0;
+    totals.promptTokens += promptTokens;
+    totals.completionTokens += completionTokens;
+    totals.cost += cost || 0;
+    totals.latencyMs += outcome === 'ok' ? latencyMs : 0;
+  });
 }
 
 /**
- * Get completion from cache if available and not expired
+ * Record the usage of a request sent to a provider once it has settled (see fetchCompletionText)
  */
-function getCachedCompletion(context, model) {
-  const key = getCacheKey(context, model);
-  const cached = completionCache.get(key);
+async function recordRequestUsage(provider, site, result) {
+  const usage = await getRequestUsage(provider, result);
+  if (usage.cost === null) {
+    console.warn(`[Background] No pricing for ${result.model}; its cost is left out of the spend totals`);
+  }
+  return recordUsage(site, result.model, { ...usage, outcome: result.outcome, latencyMs: result.latencyMs });
+}
 
-  if (cached && Date.now() - cached.timestamp < CACHE_EXPIRY) {
-    return cached.completion;
+/**
+ * Record a suggestion being shown, or how it ended: accepted (with the number
+ * of characters taken), dismissed or ignored
+ */
+function recordSuggestionEvent(site, model, event, characters) {
+  if (!['shown', 'accepted', 'dismissed', 'ignored'].includes(event) || !model) {
+    return Promise.resolve();
   }
 
-  if (cached) {
-    completionCache.delete(key);
+  return updateUsageStats(site, model, (totals) => {
+    totals[event]++;
+    if (event === 'accepted') {
+      totals.acceptedCharacters += Math.max(0, Number(characters) || 0);
+    }
+  });
+}
+
+/**
+ * Check if a failed request is worth retrying, on the same model or another one:
+ * rate limits, server errors, timeouts and network failures
+ */
+function isTransientError(error) {
+  if (error.status) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
   }
+  return error.name === 'TimeoutError' || error.name === 'TypeError';
+}
 
-  return null;
+/**
+ * Check if a model is being skipped after repeated failures
+ */
+function isCircuitOpen(model) {
+  const circuit = modelCircuits.get(model);
+  return !!circuit && circuit.openUntil > Date.now();
 }
 
 /**
- * Cache a completion
+ * Record a model given up on after transient failures, opening its circuit after
+ * CIRCUIT_FAILURE_THRESHOLD in a row
  */
-function cacheCompletion(context, model, completion) {
-  const key = getCacheKey(context, model);
+function recordModelFailure(model) {
+  const circuit = modelCircuits.get(model) || { failures: 0, openUntil: 0 };
+  circuit.failures++;
 
-  // Implement LRU-like cache eviction
-  if (completionCache.size >= CACHE_MAX_SIZE) {
-    const firstKey = completionCache.keys().next().value;
-    completionCache.delete(firstKey);
+  if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + CIRCUIT_OPEN_DURATION;
+    circuit.failures = 0;
+    console.warn(`[Background] Skipping ${model} for ${CIRCUIT_OPEN_DURATION / 1000}s after repeated failures`);
   }
 
-  completionCache.set(key, {
-    completion,
-    timestamp: Date.now()
+  modelCircuits.set(model, circuit);
+}
+
+/**
+ * Wait before retrying, unless the request is cancelled first
+ */
+function waitForRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, delay);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
   });
 }
 
 /**
- * Get completion from OpenRouter API
+ * Get the cache namespace for completions from a model with the given generation settings
+ */
+function getCacheNamespace(provider, model, generation, systemPrompt) {
+  return `${provider.id}:${model}:${generation.maxTokens}:${generation.temperature}:${systemPrompt}`;
+}
+
+/**
+ * Get the model used when none is selected: DEFAULT_MODEL on OpenRouter, and none on
+ * other providers, whose model ids differ
+ */
+function getDefaultModel(provider) {
+  return provider.type === 'openrouter' ? DEFAULT_MODEL : '';
+}
+
+/**
+ * Get the models to try in order: the selected model, then the fallbacks
+ */
+function getModelChain(settings, provider) {
+  const chain = [settings.selectedModel || getDefaultModel(provider), ...settings.fallbackModels];
+  return chain.filter((model, index) => model && chain.indexOf(model) === index);
+}
+
+/**
+ * Sample alternative completions from one model, at a higher temperature than the first
+ * suggestion so they differ from it. Providers that support n return them all from one
+ * request; others get one request per alternative, and alternatives that fail are left out.
+ * Throws only if every request fails.
+ */
+async function sampleAlternatives(provider, model, context, suffix, count, { generation, systemPrompt, signal, onSettled }) {
+  const options = {
+    temperature: Math.min(generation.temperature + CANDIDATE_TEMPERATURE_BOOST, NUMERIC_SETTING_BOUNDS.temperature.max),
+    maxTokens: generation.maxTokens,
+    systemPrompt: systemPrompt,
+    signal: signal,
+    onSettled: onSettled
+  };
+
+  if (provider.adapter.supportsMultipleChoices) {
+    return [await fetchCompletionText(provider, model, context, suffix, { ...options, samples: count })];
+  }
+
+  const results = await Promise.allSettled(
+    Array.from({ length: count }, () => fetchCompletionText(provider, model, context, suffix, options))
+  );
+
+  const samples = results.filter(({ status }) => status === 'fulfilled').map(({ value }) => value);
+  if (samples.length === 0) {
+    throw results[0].reason;
+  }
+
+  return samples;
+}
+
+/**
+ * Get completion from the active provider
+ * request holds the text before the cursor (context) and, in mid-text mode, after it (suffix),
+ * plus the site, fieldLabel and language used to fill in the prompt template.
+ * request.model asks for that model only, without fallbacks, and request.skipCache
+ * bypasses the completion cache (both used by the benchmark).
+ * request.alternatives asks request.model for up to candidateCount - 1 alternatives to a
+ * suggestion already shown, sampled only once the user cycles through suggestions.
+ * When onPartial is given the response is streamed and onPartial receives the text so far
+ * and the model writing it.
+ * A successful result includes the usage (tokens and cost) of the request.
  */
-async function getCompletion(context, requestId) {
-  console.log('[Background] getCompletion called:', { context, requestId });
+async function getCompletion(request, requestId, onPartial) {
+  const context = request.context || '';
+  const suffix = request.suffix || '';
+
+  console.log('[Background] getCompletion called:', { context, suffix, requestId, streaming: !!onPartial });
+
+  // Register the abort controller up front so a cancel that arrives while
+  // settings are still loading is not lost
+  const controller = new AbortController();
+  activeRequests.set(requestId, controller);
 
   try {
-    // Get API key and selected model from storage
-    const { apiKey, selectedModel } = await chrome.storage.sync.get(['apiKey', 'selectedModel']);
+    // Get provider, selected model and completion style from storage,
+    // with the profile for the sender's URL applied
+    const [provider, storedSettings] = await Promise.all([getActiveProvider(), getSettings()]);
+    const settings = resolveSettings(storedSettings, request.url);
+    const { selectedModel } = settings;
+
+    // Never-send sites are also refused here, in case a page's content script missed the change
+    if (isNeverSendSite(settings, request.site)) {
+      console.log('[Background] Text from this site is never sent, skipping request');
+      return { success: false, error: 'Sending text from this site is turned off' };
+    }
+
+    const generation = getGenerationSettings(settings);
+    const presetId = getPromptPresetId(settings, request.site, request.codeEditor);
+    const systemPrompt = renderPromptTemplate(getPromptTemplate(settings, presetId), {
+      site: request.site,
+      fieldLabel: request.fieldLabel,
+      language: request.language
+    }) + getLengthInstruction(generation, request.codeEditor) + formatPageContext(request.pageContext);
 
     console.log('[Background] Settings:', {
-      hasApiKey: !!apiKey,
-      apiKeyPrefix: apiKey ? apiKey.substring(0, 10) + '...' : 'none',
-      model: selectedModel || DEFAULT_MODEL
+      provider: provider.name,
+      baseUrl: provider.baseUrl,
+      hasApiKey: !!provider.apiKey,
+      apiKeyPrefix: provider.apiKey ? provider.apiKey.substring(0, 10) + '...' : 'none',
+      model: selectedModel || getDefaultModel(provider),
+      preset: presetId,
+      profile: settings.activeProfile || 'none',
+      generation: generation
     });
 
-    if (!apiKey) {
+    if (provider.requiresApiKey && !provider.apiKey) {
       console.error('[Background] No API key configured');
       throw new Error('API key not configured');
     }
 
-    const model = selectedModel || DEFAULT_MODEL;
+    const model = request.model || selectedModel || getDefaultModel(provider);
+    if (!model) {
+      throw new Error(`No model selected for ${provider.name}`);
+    }
+
+    const cacheNamespace = getCacheNamespace(provider, model, generation, systemPrompt);
+
+    const cacheOptions = {
+      ...getCacheOptions(settings),
+      maxContextLength: generation.maxContextLength
+    };
+
+    // Alternatives to a suggestion the user wants to cycle through
+    const alternativeCount = clampSetting('candidateCount', settings.candidateCount) - 1;
+    if (request.alternatives && alternativeCount < 1) {
+      return { success: true, completion: '', completions: [], model, usage: { promptTokens: 0, completionTokens: 0, cost: 0 } };
+    }
 
-    // Check cache first
-    const cached = getCachedCompletion(context, model);
+    // Check cache first (alternatives are added to the cached entry rather than read from it)
+    const cached = request.skipCache || request.alternatives
+      ? null
+      : await getCachedCompletion(cacheNamespace, context, suffix, cacheOptions);
     if (cached) {
-      console.log('[Background] Returning cached completion:', cached);
-      return { success: true, completion: cached };
+      console.log('[Background] Returning cached completions:', cached);
+      recordUsage(request.site, model, { cacheHit: true });
+      return { success: true, completion: cached[0], completions: cached, model, usage: { promptTokens: 0, completionTokens: 0, cost: 0 } };
+    }
+
+    // Check spend budget (cached completions above are free)
+    const budget = getBudgetStatus(settings, await loadUsageStats());
+    if (budget.state === 'exhausted') {
+      console.log(`[Background] ${budget.exhaustedPeriod} budget exhausted, skipping request`);
+      return { success: false, error: `The ${budget.exhaustedPeriod} budget is used up` };
+    }
+
+    // A dollar budget can't be enforced for a model whose price is unknown
+    if (budget.state !== 'none' && budget.unit === 'dollars' && !(await getModelPricing(provider, model))) {
+      console.warn(`[Background] No pricing for ${model}; the dollar budget can't include its cost`);
     }
 
     // Check rate limit
@@ -188,68 +1339,123 @@ async function getCompletion(context, requestId) {
     }
 
     recordRequest();
-    console.log('[Background] Making API request to OpenRouter...');
+    console.log(`[Background] Making API request to ${provider.name}...`);
 
-    // Create abort controller for this request
-    const controller = new AbortController();
-    activeRequests.set(requestId, controller);
+    // Every request sent is recorded in the usage stats and audit log, including ones that
+    // fail or are cancelled
+    const onSettled = (result) => {
+      recordRequestUsage(provider, request.site, result);
+      recordAuditEntry(settings, request, result);
+    };
 
-    // Make API request
-    const response = await fetch(OPENROUTER_CHAT_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'HTTP-Referer': 'chrome-extension://ai-autocomplete',
-        'X-Title': 'AI Autocomplete Extension',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an autocomplete assistant. Complete the user\'s text with 2-3 relevant words. Return ONLY the completion text, no explanations or punctuation unless necessary.'
-          },
-          {
-            role: 'user',
-            content: context
+    if (request.alternatives) {
+      return await getAlternativeCompletions(provider, request, settings, {
+        count: alternativeCount,
+        generation,
+        systemPrompt,
+        signal: controller.signal,
+        onSettled,
+        cacheNamespace,
+        cacheOptions
+      });
+    }
+
+    const streaming = typeof onPartial === 'function';
+    const sampleOptions = {
+      temperature: generation.temperature,
+      maxTokens: generation.maxTokens,
+      systemPrompt: systemPrompt,
+      signal: controller.signal,
+      onSettled: onSettled
+    };
+
+    // Partial text is reported with the model streaming it, which may be a fallback
+    const streamFrom = (candidate) => (streaming
+      ? (partial) => onPartial(normalizeCompletion(partial, context, suffix, true, request.codeEditor), candidate)
+      : null);
+
+    // Try the selected model, then each fallback, skipping models whose circuit is open.
+    // A transient failure is retried on the same model up to MAX_MODEL_RETRIES times,
+    // backing off exponentially, before moving down the chain; other errors move on at once.
+    // A request for a given model (the benchmark) sends exactly one request to it.
+    const chain = request.model
+      ? [request.model]
+      : getModelChain(settings, provider).filter(candidate => !isCircuitOpen(candidate));
+    const maxRetries = request.model ? 0 : MAX_MODEL_RETRIES;
+    if (chain.length === 0) {
+      throw new Error('All models are temporarily unavailable after repeated failures');
+    }
+
+    let sample = null;
+    let usedModel = null;
+    let usage = null;
+    let lastError = null;
+
+    for (const candidate of chain) {
+      if (sample) {
+        break;
+      }
+
+      if (lastError) {
+        console.log(`[Background] Falling back to ${candidate}`);
+      }
+
+      for (let retry = 0; !sample; retry++) {
+        if (retry > 0) {
+          console.log(`[Background] Retrying ${candidate} (${retry} of ${maxRetries})`);
+          await waitForRetry(Math.min(BACKOFF_BASE_DELAY * 2 ** (retry - 1), BACKOFF_MAX_DELAY), controller.signal);
+        }
+
+        try {
+          sample = await fetchCompletionText(provider, candidate, context, suffix, { ...sampleOptions, onPartial: streamFrom(candidate) });
+          usedModel = candidate;
+          modelCircuits.delete(candidate);
+
+          usage = await getRequestUsage(provider, { ...sample, model: candidate, outcome: 'ok' });
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw error;
           }
-        ],
-        max_tokens: 10,
-        temperature: 0.3,
-        stream: false
-      }),
-      signal: controller.signal
-    });
 
-    // Clean up active request
-    activeRequests.delete(requestId);
+          console.warn(`[Background] ${candidate} failed:`, error.message);
+          lastError = error;
 
-    console.log('[Background] API response status:', response.status);
+          // The key is shared by every model, so another model won't do better
+          if (error.status === 401 || error.status === 403) {
+            throw error;
+          }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('[Background] API error response:', errorText);
-      throw new Error(`API request failed: ${response.status} ${errorText}`);
+          // Only outages count towards the circuit; a request the model rejects isn't retried
+          if (!isTransientError(error)) {
+            break;
+          }
+          if (retry >= maxRetries) {
+            recordModelFailure(candidate);
+            break;
+          }
+        }
+      }
     }
 
-    const data = await response.json();
-    console.log('[Background] API response data:', data);
+    if (!sample) {
+      throw lastError;
+    }
+
+    const completions = dedupeCompletions(
+      sample.texts.map(text => normalizeCompletion(text, context, suffix, false, request.codeEditor))
+    );
 
-    const completion = data.choices?.[0]?.message?.content?.trim() || '';
-    console.log('[Background] Extracted completion:', completion);
+    console.log('[Background] Extracted completions:', completions);
 
-    // Cache the completion
-    if (completion) {
-      cacheCompletion(context, model, completion);
-      console.log('[Background] Cached completion');
+    // Cache the completions under the model that wrote them, which may be a fallback
+    if (completions.length > 0 && !request.skipCache) {
+      const usedNamespace = getCacheNamespace(provider, usedModel, generation, systemPrompt);
+      await cacheCompletions(usedNamespace, context, suffix, completions, cacheOptions);
+      console.log('[Background] Cached completions');
     }
 
-    return { success: true, completion };
+    return { success: true, completion: completions[0] || '', completions, model: usedModel, usage };
   } catch (error) {
-    // Clean up active request
-    activeRequests.delete(requestId);
-
     if (error.name === 'AbortError') {
       console.log('[Background] Request cancelled');
       return { success: false, error: 'Request cancelled' };
@@ -257,7 +1463,94 @@ async function getCompletion(context, requestId) {
 
     console.error('[Background] Error getting completion:', error);
     return { success: false, error: error.message };
+  } finally {
+    // Clean up active request
+    activeRequests.delete(requestId);
+  }
+}
+
+/**
+ * Sample alternatives to a suggestion from the model that made it, for getCompletion
+ * They are added to the cached completions for the same text, so cycling again after
+ * a cache hit needs no new request.
+ */
+async function getAlternativeCompletions(provider, request, settings, { count, generation, systemPrompt, signal, onSettled, cacheNamespace, cacheOptions }) {
+  const context = request.context || '';
+  const suffix = request.suffix || '';
+
+  const samples = await sampleAlternatives(provider, request.model, context, suffix, count, { generation, systemPrompt, signal, onSettled });
+
+  const usage = sumRequestUsage(await Promise.all(
+    samples.map(sample => getRequestUsage(provider, { ...sample, model: request.model, outcome: 'ok' }))
+  ));
+
+  const completions = dedupeCompletions(
+    samples.flatMap(({ texts }) => texts).map(text => normalizeCompletion(text, context, suffix, false, request.codeEditor))
+  );
+
+  console.log('[Background] Extracted alternatives:', completions);
+
+  if (completions.length > 0 && !request.skipCache) {
+    const cached = await getCachedCompletion(cacheNamespace, context, suffix, cacheOptions) || [];
+    await cacheCompletions(cacheNamespace, context, suffix, dedupeCompletions([...cached, ...completions]), cacheOptions);
+  }
+
+  return { success: true, completion: completions[0] || '', completions, model: request.model, usage };
+}
+
+/**
+ * Benchmark a model: run each of BENCHMARK_SAMPLES through getCompletion, one at a time
+ * and without the cache, and average time to first token, total latency, cost and length
+ * Naming the model makes each sample a single request, with no retries or fallbacks,
+ * so the latency and cost are those of that one request.
+ */
+async function runBenchmark(model) {
+  const runs = [];
+  let lastError = null;
+
+  for (const [index, sample] of BENCHMARK_SAMPLES.entries()) {
+    const startedAt = Date.now();
+    let firstTokenAt = null;
+
+    const result = await getCompletion(
+      { ...sample, site: BENCHMARK_SITE, model, skipCache: true },
+      `benchmark-${startedAt}-${index}`,
+      () => {
+        firstTokenAt = firstTokenAt || Date.now();
+      }
+    );
+
+    if (!result.success) {
+      lastError = result.error;
+      continue;
+    }
+
+    const finishedAt = Date.now();
+    runs.push({
+      ttftMs: (firstTokenAt || finishedAt) - startedAt,
+      latencyMs: finishedAt - startedAt,
+      cost: result.usage.cost,
+      length: result.completion.length
+    });
+  }
+
+  console.log(`[Background] Benchmarked ${model}:`, runs);
+
+  if (runs.length === 0) {
+    return { success: false, error: lastError || 'No samples completed' };
   }
+
+  const average = (key) => runs.reduce((sum, run) => sum + run[key], 0) / runs.length;
+  return {
+    success: true,
+    model,
+    samples: BENCHMARK_SAMPLES.length,
+    completed: runs.length,
+    ttftMs: average('ttftMs'),
+    latencyMs: average('latencyMs'),
+    cost: runs.some(run => run.cost === null) ? null : average('cost'), // null when the price is unknown
+    length: average('length')
+  };
 }
 
 /**
@@ -272,13 +1565,59 @@ function cancelRequest(requestId) {
   }
 }
 
+/**
+ * Get the hostname of the page that sent a message
+ */
+function getSenderHostname(sender) {
+  try {
+    return new URL(getSenderUrl(sender)).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Get the URL of the page that sent a message
+ * Content scripts only run in frames of the page's own origin, so a frame counts as
+ * its tab's page where the tab URL is known; about:blank frames take their origin.
+ */
+function getSenderUrl(sender) {
+  if (sender.frameId > 0 && sender.tab?.url) {
+    return sender.tab.url;
+  }
+
+  const url = sender.url || sender.tab?.url || '';
+  return url.startsWith('about:') && sender.origin ? sender.origin : url;
+}
+
+/**
+ * Build a completion request from a content script message
+ * The site and URL are taken from the sender rather than the message, so a page cannot claim another origin
+ */
+function toCompletionRequest(message, sender) {
+  const alternatives = !!message.alternatives && typeof message.model === 'string';
+
+  return {
+    alternatives: alternatives,
+    model: alternatives ? message.model : undefined,
+    context: message.context,
+    suffix: message.suffix,
+    fieldLabel: message.fieldLabel,
+    language: message.language,
+    codeEditor: !!message.codeEditor,
+    pageContext: message.pageContext,
+    site: getSenderHostname(sender),
+    url: getSenderUrl(sender)
+  };
+}
+
 /**
  * Handle messages from content scripts and popup
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'getCompletion') {
     // Handle async completion request
-    getCompletion(request.context, request.requestId)
+    getCompletion(toCompletionRequest(request, sender), request.requestId)
       .then(result => sendResponse(result))
       .catch(error => {
         console.error('Error in getCompletion:', error);
@@ -293,11 +1632,53 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return false;
   }
 
+  if (request.action === 'claimOverlay') {
+    // Only one frame of a tab shows a suggestion at a time; tell the rest to hide theirs
+    if (sender.tab) {
+      chrome.tabs.sendMessage(sender.tab.id, { action: 'hideCompletion', frameToken: request.frameToken })
+        .catch(() => {
+          // Frames without the content script don't answer
+        });
+    }
+    return false;
+  }
+
+  if (request.action === 'recordSuggestionEvent') {
+    recordSuggestionEvent(getSenderHostname(sender), request.model, request.event, request.characters);
+    return false;
+  }
+
+  if (request.action === 'runBenchmark') {
+    // Benchmarks spend credits, so only the extension's own pages may start one
+    if (sender.tab) {
+      sendResponse({ success: false, error: 'Not allowed' });
+      return false;
+    }
+
+    runBenchmark(request.model)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        console.error('Error running benchmark:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'testConnection') {
+    testConnection(request.apiKey)
+      .then(result => sendResponse(result))
+      .catch(error => {
+        console.error('Error testing connection:', error);
+        sendResponse({ status: 'error', message: error.message });
+      });
+    return true;
+  }
+
   if (request.action === 'fetchModels') {
     // Fetch models and return them
     fetchAndCacheModels()
-      .then(() => chrome.storage.local.get('cachedModels'))
-      .then(result => sendResponse({ success: true, models: result.cachedModels || [] }))
+      .then(() => getCachedModels())
+      .then(models => sendResponse({ success: true, models }))
       .catch(error => {
         console.error('Error fetching models:', error);
         sendResponse({ success: false, error: error.message });
@@ -307,16 +1688,74 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
   if (request.action === 'getCachedModels') {
     // Return cached models
-    chrome.storage.local.get('cachedModels')
-      .then(result => sendResponse({ success: true, models: result.cachedModels || [] }))
+    getCachedModels()
+      .then(models => sendResponse({ success: true, models }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
   }
 });
 
+/**
+ * Handle streaming completion requests from content scripts
+ * Each tab keeps one long-lived port open; partial text is pushed back as it arrives
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'completion') {
+    return;
+  }
+
+  // Requests started on this port, so they can be aborted if the tab goes away
+  const portRequests = new Set();
+
+  const postToPort = (message) => {
+    try {
+      port.postMessage(message);
+    } catch (error) {
+      // Port was closed while the request was in flight
+    }
+  };
+
+  port.onMessage.addListener((message) => {
+    if (message.action === 'getCompletion') {
+      const { requestId } = message;
+      portRequests.add(requestId);
+
+      getCompletion(toCompletionRequest(message, port.sender), requestId, (partial, model) => {
+        postToPort({ type: 'partial', requestId, completion: partial, model });
+      })
+        .then(result => postToPort({ type: 'result', requestId, ...result }))
+        .catch(error => {
+          console.error('Error in streaming getCompletion:', error);
+          postToPort({ type: 'result', requestId, success: false, error: error.message });
+        })
+        .finally(() => portRequests.delete(requestId));
+      return;
+    }
+
+    if (message.action === 'cancelRequest') {
+      cancelRequest(message.requestId);
+      portRequests.delete(message.requestId);
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    portRequests.forEach(requestId => cancelRequest(requestId));
+    portRequests.clear();
+  });
+});
+
 // Handle alarm events for periodic model refresh
 chrome.alarms.onAlarm.addListener((alarm) => {
   if (alarm.name === 'refreshModels') {
     fetchAndCacheModels();
   }
+
+  if (alarm.name === 'budgetReset') {
+    updateBadge();
+    scheduleBudgetReset();
+  }
+
+  if (alarm.name === 'auditLogExpiry') {
+    expireAuditLog();
+  }
 });
@@ -2,9 +2,20 @@
 
 // Configuration
 const DEBOUNCE_DELAY = 300; // ms
+const WORD_BOUNDARY_DELAY = 800; // ms pause required in word boundary trigger mode
 const MIN_CONTEXT_LENGTH = 10; // minimum characters before triggering completion
-const MAX_CONTEXT_LENGTH = 100; // characters to send as context
-const COMPLETION_WORD_LIMIT = 3; // max words in completion
+const MAX_SUFFIX_LENGTH = 100; // characters after the cursor to send in mid-text mode
+const MAX_FIELD_LABEL_LENGTH = 80; // characters of field label to send for the prompt
+const PAGE_CONTEXT_BUDGET = 1000; // total characters of page context sent with richContext
+const MAX_PAGE_HEADINGS = 3; // headings before the field to include
+const MAX_FIELD_VALUE_LENGTH = 200; // characters of each other field's value
+const PAGE_CONTEXT_INPUT_TYPES = ['text', 'search', 'url'];
+
+// Front of the suggestion taken by partial acceptance, including leading spaces
+const PARTIAL_ACCEPT_PATTERNS = {
+  word: /^\s*\S+/,
+  character: /^\s*\S/
+};
 
 // State management
 let currentElement = null;
@@ -12,16 +23,69 @@ let completionOverlay = null;
 let debounceTimer = null;
 let currentRequestId = null;
 let lastCompletion = '';
+let candidates = []; // alternative suggestions for the current context
+let candidateIndex = 0;
+// Request the shown suggestion answers, kept until its alternatives are sampled on the first cycle
+let alternativesRequest = null;
 let isAcceptingCompletion = false;
+// Suggestion tracked for acceptance statistics from when it is shown until it is hidden:
+// { model, acceptedCharacters, isDismissed }
+let trackedSuggestion = null;
+
+// Settings from chrome.storage.sync (see settings.js), kept current by loadSettings.
+// settings has the profile for the page URL applied (see refreshPageSettings).
+let storedSettings = { ...DEFAULT_SETTINGS };
+let settings = { ...DEFAULT_SETTINGS };
+let resolvedUrl = null;
+let keybindings = { ...DEFAULT_KEYBINDINGS };
+let generation = getGenerationSettings(DEFAULT_SETTINGS);
+let isEnabledOnSite = false; // until the site rules have loaded
+
+// Identifies this frame's content script when frames coordinate which one shows an overlay
+const FRAME_TOKEN = Math.random().toString(36).slice(2);
+
+// Streaming connection to the background worker
+let completionPort = null;
+const pendingRequests = new Map(); // requestId -> { resolve, onPartial }
 
 // Sensitive field detection
 const SENSITIVE_INPUT_TYPES = ['password', 'email', 'tel', 'number', 'credit-card'];
 const SENSITIVE_FIELD_NAMES = ['password', 'pwd', 'pass', 'pin', 'ssn', 'creditcard', 'ccv', 'cvv'];
+// autocomplete tokens for secrets and payment details (cc-number, cc-csc, cc-exp, ...)
+const SENSITIVE_AUTOCOMPLETE_TOKENS = /^(cc-.+|one-time-code|current-password|new-password)$/;
+// Whole words in labels; label text is prose, so the name keywords above would match too much
+const SENSITIVE_LABEL_PATTERN = /\b(password|passcode|pin (code|number)|ssn|social security|credit card|card number|cvv|cvc|security code|one[- ]time (code|password)|otp|verification code|iban|account number|routing number)\b/i;
+// Acronyms matched in capitals only, as the lowercase word means something else ("pin a message")
+const SENSITIVE_LABEL_ACRONYMS = /\bPIN\b/;
+
+// Personal data masked from text before it is sent, applied in order (cards and US social
+// security numbers before phones, whose digit runs overlap). validate rules out lookalikes
+// such as amounts, IDs and year ranges.
+const REDACTION_RULES = [
+  { name: 'email', pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, replacement: '[email]' },
+  {
+    name: 'api key',
+    pattern: /\b(sk|pk|rk)-[\w-]{16,}|\bAKIA[0-9A-Z]{16}\b|\bgh[pousr]_\w{36,}|\bxox[abpr]-[\w-]{10,}|\bAIza[\w-]{35}|\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+    replacement: '[api key]'
+  },
+  { name: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, replacement: '[card number]', validate: isLuhnValid },
+  { name: 'ssn', pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g, replacement: '[ssn]' },
+  { name: 'phone', pattern: /(?<![\w+]|\d[\s.-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?|\d{2,4}[\s.-])?\d{3,4}[\s.-]\d{3,4}(?![\w-]|[\s.]\d)/g, replacement: '[phone]', validate: isPhoneNumber }
+];
+
+// The user's own redaction patterns, compiled from settings.redactionPatterns
+let customRedactionPatterns = [];
 
 /**
  * Initialize the content script
  */
 function init() {
+  // The script runs in every frame, but only frames the page itself controls are
+  // served: cross-origin frames (ads, third-party widgets) belong to another site
+  if (!getTopLocation()) {
+    return;
+  }
+
   console.log('AI Autocomplete content script loaded');
 
   // Monitor all text inputs and contenteditable elements
@@ -33,14 +97,109 @@ function init() {
 
   // Clean up on page unload
   window.addEventListener('beforeunload', cleanup);
+
+  // Another frame of this tab started showing a suggestion; a stream still running
+  // here would paint this frame's overlay again, so it is cancelled too
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action === 'hideCompletion' && message.frameToken !== FRAME_TOKEN) {
+      cancelPendingRequest();
+      hideCompletion();
+    }
+  });
+
+  // Apply site rules now and whenever they change, without a page reload
+  loadSettings();
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync') {
+      loadSettings();
+    }
+  });
+}
+
+/**
+ * Load settings and re-evaluate whether autocomplete runs on this site
+ */
+async function loadSettings() {
+  try {
+    storedSettings = await getSettings();
+  } catch (error) {
+    console.error('[AI Autocomplete] Error loading settings:', error);
+    return;
+  }
+
+  resolvedUrl = null;
+  refreshPageSettings();
+  keybindings = getKeybindings(settings);
+  customRedactionPatterns = settings.redactionPatterns.map(compileRedactionPattern).filter(Boolean);
+
+  // Never-send sites are off whatever the site rules say (the background checks them too)
+  const hostname = getTopLocation().hostname;
+  isEnabledOnSite = isSiteEnabled(settings, hostname) && !isNeverSendSite(settings, hostname);
+  console.log('[AI Autocomplete] Enabled on this site:', isEnabledOnSite);
+
+  if (!isEnabledOnSite) {
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+    }
+    cancelPendingRequest();
+    hideCompletion();
+  }
+}
+
+/**
+ * Get the location of the page this frame is part of: the top frame's, or null when
+ * the top frame is cross-origin. Site rules and profiles follow the top page, so
+ * same-origin and about:blank editor frames behave like the page around them.
+ */
+function getTopLocation() {
+  try {
+    return window.top.location.href ? window.top.location : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Apply the profile matching the page URL, again after a single-page app navigates
+ * (the background worker resolves the same profile from the tab URL for each request)
+ */
+function refreshPageSettings() {
+  const url = getTopLocation().href;
+  if (resolvedUrl === url) {
+    return;
+  }
+
+  resolvedUrl = url;
+  settings = resolveSettings(storedSettings, resolvedUrl);
+  generation = getGenerationSettings(settings);
 }
 
 /**
  * Check if an element is a sensitive field
+ * Looks at input types, autocomplete tokens, names, labels and masked text, for inputs,
+ * textareas and contenteditable hosts alike
  */
 function isSensitiveField(element) {
   if (!element) return true;
 
+  // Check autocomplete tokens, e.g. "billing cc-number"
+  const tokens = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+  if (tokens.some(token => SENSITIVE_AUTOCOMPLETE_TOKENS.test(token))) {
+    return true;
+  }
+
+  // Check the label, aria-label or placeholder users see
+  const label = getFieldLabel(element);
+  if (SENSITIVE_LABEL_PATTERN.test(label) || SENSITIVE_LABEL_ACRONYMS.test(label)) {
+    return true;
+  }
+
+  // Check for text drawn as dots, a password field in disguise
+  const textSecurity = window.getComputedStyle(element).webkitTextSecurity;
+  if (textSecurity && textSecurity !== 'none') {
+    return true;
+  }
+
   // Check input type
   if (element.tagName === 'INPUT') {
     const type = element.type?.toLowerCase();
@@ -69,16 +228,34 @@ function isSensitiveField(element) {
   return false;
 }
 
+/**
+ * Get the element completions are made for from an event target:
+ * the input or textarea itself, or the editing host of a contenteditable region
+ */
+function getTargetElement(node) {
+  return isTextField(node) ? node : getEditingHost(node);
+}
+
+/**
+ * Get the element an event really happened on
+ * Events from inside open shadow roots are retargeted to the shadow host by the time
+ * they reach the document, so the original target is taken from the composed path.
+ */
+function getEventTarget(event) {
+  return event.composedPath()[0] || event.target;
+}
+
 /**
  * Check if element is a valid target for autocompletion
  */
 function isValidTarget(element) {
   if (!element) return false;
 
-  // Check if it's a text input, textarea, or contenteditable
-  const isInput = element.tagName === 'INPUT' && element.type === 'text';
+  // Check if it's an eligible input (element.type is 'text' when the attribute is
+  // missing or unknown), a textarea, or the host of a contenteditable region
+  const isInput = element.tagName === 'INPUT' && settings.inputTypes.includes(element.type);
   const isTextarea = element.tagName === 'TEXTAREA';
-  const isContentEditable = element.contentEditable === 'true';
+  const isContentEditable = getEditingHost(element) === element;
 
   if (!isInput && !isTextarea && !isContentEditable) {
     return false;
@@ -94,6 +271,11 @@ function isValidTarget(element) {
     return false;
   }
 
+  // Check that the overlay can be placed (not a code editor's hidden textarea)
+  if (isUnsupportedEditor(element)) {
+    return false;
+  }
+
   return true;
 }
 
@@ -101,53 +283,200 @@ function isValidTarget(element) {
  * Get text content and cursor position from element
  */
 function getElementContext(element) {
-  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+  if (isTextField(element)) {
     const text = element.value;
     const cursorPos = element.selectionStart;
-    return { text, cursorPos };
+    const hasSelection = element.selectionStart !== element.selectionEnd;
+    return { text, cursorPos, hasSelection };
   }
 
-  if (element.contentEditable === 'true') {
-    const text = element.innerText || element.textContent || '';
-    const selection = window.getSelection();
-    let cursorPos = 0;
+  if (element.isContentEditable) {
+    return getContentEditableContext(element);
+  }
 
-    if (selection.rangeCount > 0) {
-      const range = selection.getRangeAt(0);
-      const preCaretRange = range.cloneRange();
-      preCaretRange.selectNodeContents(element);
-      preCaretRange.setEnd(range.endContainer, range.endOffset);
-      cursorPos = preCaretRange.toString().length;
+  return { text: '', cursorPos: 0, hasSelection: false };
+}
+
+/**
+ * Extract relevant context for API request
+ * Returns the text before the cursor and, when editing mid-text, the text after it.
+ * Each side is redacted in full before it is cut to length, so data straddling the
+ * cut is still recognised and can't leave the page half masked.
+ */
+function extractContext(text, cursorPos) {
+  // Take the last maxContextLength characters before the cursor
+  const context = redactText(text.substring(0, cursorPos)).slice(-generation.maxContextLength);
+
+  // Take first MAX_SUFFIX_LENGTH characters after the cursor
+  const suffix = redactText(text.substring(cursorPos)).slice(0, MAX_SUFFIX_LENGTH);
+
+  return { context, suffix };
+}
+
+/**
+ * Check a digit string (spaces and dashes allowed) with the Luhn checksum used by card numbers
+ */
+function isLuhnValid(number) {
+  const digits = number.replace(/\D/g, '');
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
     }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
 
-    return { text, cursorPos };
+/**
+ * Check that a phone-like match has a phone number's digit count and isn't a
+ * number written with thousands separators, like "10 000 000"
+ * Numbers under 10 digits also need a country code, an area code in brackets or the
+ * 3-4 local format, so year ranges ("2023-2024") and split codes ("1234 5678") pass.
+ */
+function isPhoneNumber(text) {
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 7 || digits.length > 15 || /^\d{1,3}([ .,]\d{3})+$/.test(text)) {
+    return false;
   }
 
-  return { text: '', cursorPos: 0 };
+  return digits.length >= 10 || /[+(]/.test(text) || /^\d{3}[\s.-]\d{4}$/.test(text);
 }
 
 /**
- * Extract relevant context for API request
+ * Mask personal data and the user's redaction patterns in text before it leaves the page
  */
-function extractContext(text, cursorPos) {
-  // Get text before cursor
-  const textBeforeCursor = text.substring(0, cursorPos);
+function redactText(text) {
+  if (!text) {
+    return text;
+  }
+
+  let redacted = text;
+
+  if (settings.redactSensitiveData) {
+    for (const { pattern, replacement, validate } of REDACTION_RULES) {
+      redacted = redacted.replace(pattern, match => (!validate || validate(match) ? replacement : match));
+    }
+  }
+
+  for (const pattern of customRedactionPatterns) {
+    redacted = redacted.replace(pattern, '[redacted]');
+  }
+
+  return redacted;
+}
+
+/**
+ * Apply redactText to the parts of a completion request not already redacted where
+ * they were read: the context and suffix (extractContext) and page context
+ * (collectPageContext) are redacted before they are cut to length
+ */
+function redactRequest(request) {
+  return {
+    ...request,
+    fieldLabel: redactText(request.fieldLabel)
+  };
+}
+
+/**
+ * Get a short human-readable label for a field, used to tailor the prompt
+ * Tries aria-label, aria-labelledby, an associated <label>, then placeholder and name
+ */
+function getFieldLabel(element) {
+  let label = element.getAttribute('aria-label') || '';
+
+  if (!label && element.getAttribute('aria-labelledby')) {
+    label = element.getAttribute('aria-labelledby')
+      .split(/\s+/)
+      .map(id => element.getRootNode().getElementById(id)?.textContent || '')
+      .join(' ');
+  }
+
+  if (!label && element.labels && element.labels.length > 0) {
+    label = element.labels[0].textContent;
+  }
+
+  if (!label) {
+    label = element.getAttribute('placeholder') || element.getAttribute('name') || '';
+  }
+
+  return label.replace(/\s+/g, ' ').trim().slice(0, MAX_FIELD_LABEL_LENGTH);
+}
+
+/**
+ * Collect page context for richContext mode: the page title, the headings
+ * leading up to the field and the values of other fields in the same form
+ * Sensitive fields are skipped, and everything together stays within PAGE_CONTEXT_BUDGET.
+ * Each text is redacted before it is clipped, like the context in extractContext.
+ * The title and headings are short and say the most about the field (a subject, a
+ * thread title), so they are taken first and the fields share what is left.
+ */
+function collectPageContext(element) {
+  let budget = PAGE_CONTEXT_BUDGET;
+  const take = (text, limit = budget) => {
+    const clipped = redactText(text.replace(/\s+/g, ' ').trim()).slice(0, Math.min(limit, budget));
+    budget -= clipped.length;
+    return clipped;
+  };
+
+  const pageContext = { title: take(document.title, MAX_FIELD_LABEL_LENGTH), headings: [], fields: [] };
+
+  // Headings are found in the document, before the outermost shadow host holding the field
+  let anchor = element;
+  while (anchor.getRootNode() instanceof ShadowRoot) {
+    anchor = anchor.getRootNode().host;
+  }
+
+  const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]'))
+    .filter(heading => heading.compareDocumentPosition(anchor) & Node.DOCUMENT_POSITION_FOLLOWING)
+    .slice(-MAX_PAGE_HEADINGS);
+  for (const heading of headings) {
+    const text = take(heading.textContent, MAX_FIELD_LABEL_LENGTH);
+    if (text) {
+      pageContext.headings.push(text);
+    }
+  }
 
-  // Take last MAX_CONTEXT_LENGTH characters
-  const context = textBeforeCursor.slice(-MAX_CONTEXT_LENGTH);
+  // Other fields in the same form share the budget that is left
+  const container = element.closest('form, [role="form"], [role="dialog"]') || document.body;
+  const fields = container.querySelectorAll('input, textarea, select');
+  for (const field of fields) {
+    if (budget <= 0) break;
+    if (field === element || isSensitiveField(field)) continue;
+    if (field.tagName === 'INPUT' && !PAGE_CONTEXT_INPUT_TYPES.includes(field.type)) continue;
 
-  return context;
+    const value = field.tagName === 'SELECT' ? field.selectedOptions[0]?.textContent || '' : field.value;
+    if (!value.trim()) continue;
+
+    pageContext.fields.push({
+      label: take(getFieldLabel(field), MAX_FIELD_LABEL_LENGTH),
+      value: take(value, MAX_FIELD_VALUE_LENGTH)
+    });
+  }
+
+  return pageContext;
+}
+
+/**
+ * Check if the cursor sits inside a word, where inserting text would split it
+ */
+function isCursorInsideWord(text, cursorPos) {
+  return /\w/.test(text.charAt(cursorPos - 1)) && /\w/.test(text.charAt(cursorPos));
 }
 
 /**
  * Get cursor coordinates for positioning overlay
  */
 function getCursorCoordinates(element) {
-  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+  if (isTextField(element)) {
     return getCursorCoordinatesForInput(element);
   }
 
-  if (element.contentEditable === 'true') {
+  if (element.isContentEditable) {
     return getCursorCoordinatesForContentEditable(element);
   }
 
@@ -206,14 +535,12 @@ function getCursorCoordinatesForInput(element) {
  * Get cursor coordinates for contenteditable elements
  */
 function getCursorCoordinatesForContentEditable(element) {
-  const selection = window.getSelection();
+  const rect = getCaretRect(element);
 
-  if (selection.rangeCount === 0) {
+  if (!rect) {
     return null;
   }
 
-  const range = selection.getRangeAt(0);
-  const rect = range.getBoundingClientRect();
   const elementRect = element.getBoundingClientRect();
 
   return {
@@ -245,6 +572,11 @@ function showCompletion(element, completion) {
     return;
   }
 
+  // A suggestion appearing in this frame replaces any shown in another frame of the tab
+  if (!completionOverlay || completionOverlay.style.display === 'none') {
+    claimOverlay();
+  }
+
   // Create overlay if it doesn't exist
   if (!completionOverlay) {
     console.log('[AI Autocomplete] Creating new overlay element');
@@ -256,6 +588,25 @@ function showCompletion(element, completion) {
   // Set completion text
   completionOverlay.textContent = completion;
 
+  // Show which alternative is displayed, e.g. "2/3"
+  if (candidates.length > 1) {
+    const indicator = document.createElement('span');
+    indicator.className = 'ai-autocomplete-indicator';
+    indicator.textContent = `${candidateIndex + 1}/${candidates.length}`;
+    completionOverlay.appendChild(indicator);
+  }
+
+  // In mid-text mode the ghost text sits over the text after the cursor,
+  // so give it the field's background to keep it readable
+  const { text, cursorPos } = getElementContext(element);
+  if (cursorPos < text.length) {
+    completionOverlay.classList.add('ai-autocomplete-inline');
+    completionOverlay.style.setProperty('background-color', getEffectiveBackgroundColor(element), 'important');
+  } else {
+    completionOverlay.classList.remove('ai-autocomplete-inline');
+    completionOverlay.style.removeProperty('background-color');
+  }
+
   // Copy font styles from element
   const computed = window.getComputedStyle(element);
   completionOverlay.style.fontFamily = computed.fontFamily;
@@ -277,6 +628,38 @@ function showCompletion(element, completion) {
   });
 }
 
+/**
+ * Ask the other frames of the tab to hide their suggestions
+ * A page without frames has no one to tell, so the message is skipped there.
+ */
+function claimOverlay() {
+  if (window === window.top && window.frames.length === 0) {
+    return;
+  }
+
+  chrome.runtime.sendMessage({ action: 'claimOverlay', frameToken: FRAME_TOKEN })
+    .catch(() => {
+      // The extension was reloaded; other frames' overlays go stale on their own
+    });
+}
+
+/**
+ * Find the first non-transparent background behind an element, looking through shadow hosts
+ */
+function getEffectiveBackgroundColor(element) {
+  let node = element;
+
+  while (node && node.nodeType === Node.ELEMENT_NODE) {
+    const background = window.getComputedStyle(node).backgroundColor;
+    if (background && background !== 'transparent' && background !== 'rgba(0, 0, 0, 0)') {
+      return background;
+    }
+    node = node.parentElement || node.getRootNode().host;
+  }
+
+  return '#ffffff';
+}
+
 /**
  * Hide completion overlay
  */
@@ -284,50 +667,106 @@ function hideCompletion() {
   if (completionOverlay) {
     completionOverlay.style.display = 'none';
   }
+  finishSuggestionTracking();
   lastCompletion = '';
+  candidates = [];
+  candidateIndex = 0;
+  alternativesRequest = null;
+}
+
+/**
+ * Show a set of alternative completions, starting with the first
+ */
+function showCandidates(element, completions) {
+  candidates = completions;
+  candidateIndex = 0;
+  showCompletion(element, candidates[0]);
+}
+
+/**
+ * Show the next (direction 1) or previous (direction -1) alternative completion
+ */
+function cycleCandidate(element, direction) {
+  if (candidates.length < 2) {
+    return;
+  }
+
+  candidateIndex = (candidateIndex + direction + candidates.length) % candidates.length;
+  showCompletion(element, candidates[candidateIndex]);
+}
+
+/**
+ * Request alternatives to the shown suggestion, then cycle to one in the given direction
+ * Alternatives cost extra requests, so they are only sampled once the user asks to cycle.
+ */
+async function requestAlternatives(element, direction) {
+  const request = alternativesRequest;
+  const shownCompletion = lastCompletion;
+  alternativesRequest = null;
+
+  const result = await requestCompletion({ ...request, alternatives: true });
+
+  // The suggestion was accepted, dismissed or replaced while the alternatives were loading
+  if (!result || lastCompletion !== shownCompletion || element !== currentElement) {
+    return;
+  }
+
+  candidates = [...candidates, ...result.completions.filter(completion => !candidates.includes(completion))];
+  cycleCandidate(element, direction);
+}
+
+/**
+ * Insert text at the cursor of an input, textarea or contenteditable element
+ */
+function insertTextAtCursor(element, text) {
+  // The background worker already added any spacing needed around the
+  // completion, so it is inserted verbatim and the text after the cursor is kept.
+  // Inserting as typed text keeps rich editors' models and the undo stack in step.
+  console.log('[AI Autocomplete] Inserting completion with editor adapter:',
+    isTextField(element) ? 'text field' : getEditorAdapter(element).name);
+  insertTextInEditor(element, text);
 }
 
 /**
  * Accept completion and insert into element
+ * unit is 'all', 'word' or 'character'; for partial units the front of the
+ * suggestion is inserted and the remainder stays on screen without a new request
  */
-function acceptCompletion(element) {
+function acceptCompletion(element, unit = 'all') {
   if (!lastCompletion || !element) {
     return;
   }
 
-  isAcceptingCompletion = true;
+  let accepted = lastCompletion;
+  if (PARTIAL_ACCEPT_PATTERNS[unit]) {
+    const match = lastCompletion.match(PARTIAL_ACCEPT_PATTERNS[unit]);
+    accepted = match ? match[0] : lastCompletion;
+  }
 
-  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-    const cursorPos = element.selectionStart;
-    const textBefore = element.value.substring(0, cursorPos);
-    const textAfter = element.value.substring(cursorPos);
-
-    // Add space before completion if needed
-    const needsSpace = textBefore.length > 0 && !textBefore.endsWith(' ');
-    const completionText = needsSpace ? ' ' + lastCompletion : lastCompletion;
-
-    element.value = textBefore + completionText + textAfter;
-    element.selectionStart = element.selectionEnd = cursorPos + completionText.length;
-
-    // Trigger input event
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-  } else if (element.contentEditable === 'true') {
-    const selection = window.getSelection();
-    if (selection.rangeCount > 0) {
-      const range = selection.getRangeAt(0);
-      const textNode = document.createTextNode(' ' + lastCompletion);
-      range.insertNode(textNode);
-      range.setStartAfter(textNode);
-      range.setEndAfter(textNode);
-      selection.removeAllRanges();
-      selection.addRange(range);
-
-      // Trigger input event
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-    }
+  // Don't leave a whitespace-only remainder behind
+  let remainder = lastCompletion.slice(accepted.length);
+  if (!remainder.trim()) {
+    accepted = lastCompletion;
+    remainder = '';
   }
 
-  hideCompletion();
+  // A stream still in flight would overwrite what is left of the suggestion,
+  // and alternatives to the whole suggestion no longer fit what is left of it
+  cancelPendingRequest();
+  alternativesRequest = null;
+
+  if (trackedSuggestion) {
+    trackedSuggestion.acceptedCharacters += accepted.length;
+  }
+
+  isAcceptingCompletion = true;
+  insertTextAtCursor(element, accepted);
+
+  if (remainder) {
+    showCandidates(element, [remainder]);
+  } else {
+    hideCompletion();
+  }
 
   setTimeout(() => {
     isAcceptingCompletion = false;
@@ -335,43 +774,214 @@ function acceptCompletion(element) {
 }
 
 /**
- * Request completion from background script
+ * Report a suggestion event (shown, accepted, dismissed or ignored) for the usage statistics
  */
-async function requestCompletion(context) {
-  // Cancel any pending request
-  if (currentRequestId) {
-    chrome.runtime.sendMessage({
+function sendSuggestionEvent(event, model, characters = 0) {
+  chrome.runtime.sendMessage({ action: 'recordSuggestionEvent', event, model, characters })
+    .catch(() => {
+      // The extension was reloaded; the event is not worth a retry
+    });
+}
+
+/**
+ * Start tracking a newly shown suggestion
+ */
+function startSuggestionTracking(model) {
+  finishSuggestionTracking();
+  trackedSuggestion = { model, acceptedCharacters: 0, isDismissed: false };
+  sendSuggestionEvent('shown', model);
+}
+
+/**
+ * Report how the tracked suggestion ended once it is hidden
+ * Any accepted text, including partial accepts, counts as accepted; a suggestion
+ * hidden without being accepted or dismissed (typing on, leaving the field) is ignored.
+ */
+function finishSuggestionTracking() {
+  if (!trackedSuggestion) {
+    return;
+  }
+
+  const { model, acceptedCharacters, isDismissed } = trackedSuggestion;
+  trackedSuggestion = null;
+
+  if (acceptedCharacters > 0) {
+    sendSuggestionEvent('accepted', model, acceptedCharacters);
+  } else {
+    sendSuggestionEvent(isDismissed ? 'dismissed' : 'ignored', model);
+  }
+}
+
+/**
+ * Get the long-lived port used for streaming completions, connecting if needed
+ */
+function getCompletionPort() {
+  if (completionPort) {
+    return completionPort;
+  }
+
+  completionPort = chrome.runtime.connect({ name: 'completion' });
+  completionPort.onMessage.addListener(handlePortMessage);
+  completionPort.onDisconnect.addListener(() => {
+    // The service worker was suspended or reloaded; settle anything in flight
+    completionPort = null;
+    pendingRequests.forEach(({ resolve }) => resolve(null));
+    pendingRequests.clear();
+  });
+
+  return completionPort;
+}
+
+/**
+ * Route partial and final results from the background worker
+ */
+function handlePortMessage(message) {
+  const pending = pendingRequests.get(message.requestId);
+  if (!pending) {
+    return;
+  }
+
+  if (message.type === 'partial') {
+    if (pending.onPartial) {
+      pending.onPartial(message.completion, message.model);
+    }
+    return;
+  }
+
+  pendingRequests.delete(message.requestId);
+  pending.resolve(message);
+}
+
+/**
+ * Cancel the in-flight request, if any
+ */
+function cancelPendingRequest() {
+  if (!currentRequestId) {
+    return;
+  }
+
+  const pending = pendingRequests.get(currentRequestId);
+  if (pending) {
+    pendingRequests.delete(currentRequestId);
+    pending.resolve(null);
+  }
+
+  if (completionPort) {
+    completionPort.postMessage({
       action: 'cancelRequest',
       requestId: currentRequestId
     });
   }
 
+  currentRequestId = null;
+}
+
+/**
+ * Truncate a completion to the configured length: wordLimit words, or the end
+ * of the first sentence in sentence mode (the background asks for the same)
+ * Leading and trailing spaces added by the background worker are kept so the
+ * completion still joins the surrounding text. While streaming, the trailing
+ * word is held back until it is complete.
+ * Code is cut to CODE_LINE_LIMIT lines instead, keeping its whitespace as written.
+ */
+function truncateCompletion(text, isPartial, isCode = false) {
+  if (isCode) {
+    const lines = text.split('\n').slice(0, CODE_LINE_LIMIT);
+    const completion = lines.join('\n');
+    return isPartial ? completion : completion.trimEnd();
+  }
+
+  let words = text.trim().split(/\s+/).filter(Boolean);
+
+  if (isPartial && !/\s$/.test(text)) {
+    words.pop();
+  }
+
+  let isTruncated = false;
+  if (generation.lengthMode === 'sentence') {
+    const sentenceEnd = words.findIndex(word => /[.!?]["')\]]*$/.test(word));
+    if (sentenceEnd !== -1) {
+      isTruncated = sentenceEnd < words.length - 1;
+      words = words.slice(0, sentenceEnd + 1);
+    }
+  } else if (words.length > generation.wordLimit) {
+    isTruncated = true;
+    words = words.slice(0, generation.wordLimit);
+  }
+
+  if (words.length === 0) {
+    return '';
+  }
+
+  const leading = /^\s/.test(text) ? ' ' : '';
+  const trailing = !isPartial && !isTruncated && /\s$/.test(text) ? ' ' : '';
+
+  return leading + words.join(' ') + trailing;
+}
+
+/**
+ * Request completions from background script
+ * request holds the context, suffix, fieldLabel and language to send.
+ * Resolves to the truncated, deduplicated alternatives and the model that
+ * produced them, or null.
+ * onPartial is called with the truncated text as the first one streams in, and the
+ * model writing it.
+ */
+async function requestCompletion(request, onPartial) {
+  // Cancel any pending request
+  cancelPendingRequest();
+
   // Generate new request ID
-  currentRequestId = `req_${Date.now()}_${Math.random()}`;
+  const requestId = `req_${Date.now()}_${Math.random()}`;
+  currentRequestId = requestId;
 
-  console.log('[AI Autocomplete] Sending request to background:', currentRequestId);
+  console.log('[AI Autocomplete] Sending request to background:', requestId);
 
   try {
-    const response = await chrome.runtime.sendMessage({
-      action: 'getCompletion',
-      context: context,
-      requestId: currentRequestId
+    const response = await new Promise((resolve) => {
+      pendingRequests.set(requestId, {
+        resolve,
+        onPartial: (partial, model) => {
+          const limitedPartial = truncateCompletion(partial, true, request.codeEditor);
+          if (limitedPartial && onPartial) {
+            onPartial(limitedPartial, model);
+          }
+        }
+      });
+
+      getCompletionPort().postMessage({
+        action: 'getCompletion',
+        ...request,
+        requestId: requestId
+      });
     });
 
     console.log('[AI Autocomplete] Background response:', response);
 
-    if (response && response.success && response.completion) {
-      // Limit completion to COMPLETION_WORD_LIMIT words
-      const words = response.completion.trim().split(/\s+/);
-      const limitedCompletion = words.slice(0, COMPLETION_WORD_LIMIT).join(' ');
+    if (response && response.success && response.completions?.length) {
+      // Alternatives can become identical once truncated to the configured length
+      const limitedCompletions = [];
+      for (const completion of response.completions) {
+        const limited = truncateCompletion(completion, false, request.codeEditor);
+        if (limited && !limitedCompletions.includes(limited)) {
+          limitedCompletions.push(limited);
+        }
+      }
 
-      console.log('[AI Autocomplete] Processed completion:', limitedCompletion);
-      return limitedCompletion;
+      console.log('[AI Autocomplete] Processed completions:', limitedCompletions);
+      if (limitedCompletions.length > 0) {
+        return { completions: limitedCompletions, model: response.model };
+      }
     } else {
       console.log('[AI Autocomplete] No valid completion in response');
     }
   } catch (error) {
     console.error('[AI Autocomplete] Error requesting completion:', error);
+  } finally {
+    pendingRequests.delete(requestId);
+    if (currentRequestId === requestId) {
+      currentRequestId = null;
+    }
   }
 
   return null;
@@ -381,11 +991,11 @@ async function requestCompletion(context) {
  * Handle input events
  */
 function handleInput(event) {
-  if (isAcceptingCompletion) {
+  if (isAcceptingCompletion || !isEnabledOnSite) {
     return;
   }
 
-  const element = event.target;
+  const element = getTargetElement(getEventTarget(event));
 
   if (!isValidTarget(element)) {
     hideCompletion();
@@ -393,57 +1003,117 @@ function handleInput(event) {
   }
 
   currentElement = element;
+  refreshPageSettings();
 
   // Clear existing debounce timer
   if (debounceTimer) {
     clearTimeout(debounceTimer);
   }
 
-  // Hide current completion while typing
+  // Hide current completion while typing and drop any stream still painting it
   hideCompletion();
+  cancelPendingRequest();
+
+  // In manual mode completions only come from the trigger shortcut
+  if (settings.triggerMode === 'manual') {
+    return;
+  }
 
   // Debounce the completion request
+  const delay = settings.triggerMode === 'wordBoundary' ? WORD_BOUNDARY_DELAY : DEBOUNCE_DELAY;
   debounceTimer = setTimeout(() => {
     triggerCompletion(element);
-  }, DEBOUNCE_DELAY);
+  }, delay);
 }
 
 /**
  * Trigger completion request
  */
-async function triggerCompletion(element) {
-  const { text, cursorPos } = getElementContext(element);
+async function triggerCompletion(element, { manual = false } = {}) {
+  refreshPageSettings();
+
+  const { text, cursorPos, hasSelection } = getElementContext(element);
 
   console.log('[AI Autocomplete] Trigger completion:', { textLength: text.length, cursorPos, text: text.slice(-50) });
 
-  // Check if cursor is at the end of text
-  if (cursorPos !== text.length) {
-    console.log('[AI Autocomplete] Cursor not at end, skipping');
+  // Check that there is a caret rather than a selection
+  if (hasSelection) {
+    console.log('[AI Autocomplete] Text selected, skipping');
+    return;
+  }
+
+  // Check that the cursor is not splitting a word
+  if (isCursorInsideWord(text, cursorPos)) {
+    console.log('[AI Autocomplete] Cursor inside a word, skipping');
     return;
   }
 
-  // Check minimum context length
-  if (text.length < MIN_CONTEXT_LENGTH) {
+  // In word boundary mode, only suggest once the user has finished a word
+  if (!manual && settings.triggerMode === 'wordBoundary' && !/[\s.,;:!?]$/.test(text.substring(0, cursorPos))) {
+    console.log('[AI Autocomplete] Not at a word boundary, skipping');
+    return;
+  }
+
+  // Check minimum context length (a manual trigger only needs some text)
+  if (cursorPos < (manual ? 1 : MIN_CONTEXT_LENGTH)) {
     console.log('[AI Autocomplete] Text too short, skipping');
     return;
   }
 
-  // Extract context
-  const context = extractContext(text, cursorPos);
-  console.log('[AI Autocomplete] Requesting completion for context:', context);
+  // Extract context, including the text after the cursor when editing mid-text
+  const { context, suffix } = extractContext(text, cursorPos);
+  console.log('[AI Autocomplete] Requesting completion for context:', { context, suffix });
 
-  // Request completion
-  const completion = await requestCompletion(context);
-  console.log('[AI Autocomplete] Received completion:', completion);
+  // Request completions, growing the overlay as words stream in
+  const request = {
+    context,
+    suffix,
+    fieldLabel: getFieldLabel(element),
+    language: document.documentElement.lang || navigator.language
+  };
 
-  // Show completion if element is still focused
-  if (completion && element === document.activeElement && element === currentElement) {
-    console.log('[AI Autocomplete] Showing completion');
-    showCompletion(element, completion);
+  // Code editors get the code completion style, in the editor's programming language
+  const codeEditor = getCodeEditorInfo(element);
+  if (codeEditor) {
+    request.codeEditor = true;
+    request.language = codeEditor.language;
+  }
+
+  if (settings.richContext) {
+    request.pageContext = collectPageContext(element);
+  }
+
+  const redactedRequest = redactRequest(request);
+  // Tracking starts with the first partial shown, as it can be accepted before the stream ends
+  const result = await requestCompletion(redactedRequest, (partial, model) => {
+    if (element === getDeepActiveElement() && element === currentElement) {
+      showCompletion(element, partial);
+      if (!trackedSuggestion && lastCompletion) {
+        startSuggestionTracking(model);
+      }
+    }
+  });
+  console.log('[AI Autocomplete] Received completions:', result);
+
+  // Show completions if element is still focused
+  if (result && element === getDeepActiveElement() && element === currentElement) {
+    console.log('[AI Autocomplete] Showing completions');
+    showCandidates(element, result.completions);
+    if (trackedSuggestion) {
+      trackedSuggestion.model = result.model;
+    } else {
+      startSuggestionTracking(result.model);
+    }
+
+    // Alternatives come from the model that made the suggestion, if the user cycles
+    const candidateCount = clampSetting('candidateCount', settings.candidateCount);
+    alternativesRequest = result.completions.length < candidateCount
+      ? { ...redactedRequest, model: result.model }
+      : null;
   } else {
     console.log('[AI Autocomplete] Not showing completion:', {
-      hasCompletion: !!completion,
-      isActive: element === document.activeElement,
+      hasCompletion: !!result,
+      isActive: element === getDeepActiveElement(),
       isCurrent: element === currentElement
     });
   }
@@ -451,22 +1121,62 @@ async function triggerCompletion(element) {
 
 /**
  * Handle keydown events
+ * Shortcuts come from the user's keybinding settings (see settings.js)
  */
 function handleKeydown(event) {
-  // Tab key - accept completion
-  if (event.key === 'Tab' && lastCompletion && currentElement) {
-    event.preventDefault();
-    acceptCompletion(currentElement);
-    return;
-  }
+  const shortcut = eventToShortcut(event);
+  const action = shortcut ? findKeybindingAction(keybindings, shortcut) : null;
 
-  // Escape key - dismiss completion
-  if (event.key === 'Escape' && lastCompletion) {
+  // Manual trigger - request a completion right away
+  const target = getTargetElement(getEventTarget(event));
+  if (action === 'trigger' && isEnabledOnSite && isValidTarget(target)) {
     event.preventDefault();
+    currentElement = target;
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+    }
     hideCompletion();
+    triggerCompletion(target, { manual: true });
     return;
   }
 
+  if (lastCompletion && currentElement) {
+    switch (action) {
+      case 'accept':
+        event.preventDefault();
+        acceptCompletion(currentElement);
+        return;
+      case 'acceptWord':
+        event.preventDefault();
+        acceptCompletion(currentElement, 'word');
+        return;
+      case 'acceptCharacter':
+        event.preventDefault();
+        acceptCompletion(currentElement, 'character');
+        return;
+      case 'dismiss':
+        event.preventDefault();
+        if (trackedSuggestion) {
+          trackedSuggestion.isDismissed = true;
+        }
+        hideCompletion();
+        return;
+      case 'nextSuggestion':
+      case 'previousSuggestion':
+        if (alternativesRequest) {
+          event.preventDefault();
+          requestAlternatives(currentElement, action === 'nextSuggestion' ? 1 : -1);
+          return;
+        }
+        if (candidates.length > 1) {
+          event.preventDefault();
+          cycleCandidate(currentElement, action === 'nextSuggestion' ? 1 : -1);
+          return;
+        }
+        break;
+    }
+  }
+
   // Arrow keys or other navigation - hide completion
   if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'].includes(event.key)) {
     hideCompletion();
@@ -484,7 +1194,7 @@ function handleClick(event) {
  * Handle focus events
  */
 function handleFocus(event) {
-  const element = event.target;
+  const element = getTargetElement(getEventTarget(event));
 
   if (isValidTarget(element)) {
     currentElement = element;
@@ -503,6 +1213,7 @@ function handleBlur(event) {
  * Cleanup resources
  */
 function cleanup() {
+  cancelPendingRequest();
   hideCompletion();
   if (completionOverlay && completionOverlay.parentNode) {
     completionOverlay.parentNode.removeChild(completionOverlay);
@@ -0,0 +1,310 @@
+// Editor adapters for the content script: reading the text and caret of contenteditable
+// editors, and inserting completions through the editor's own input handling
+
+/**
+ * Rich text editor frameworks recognised by their editing host
+ * ignoreSelector matches nodes the framework renders that are not part of the text,
+ * such as placeholders and zero-width caret anchors. code marks code editors, which
+ * are prompted with the code completion style.
+ */
+const EDITOR_ADAPTERS = [
+  {
+    name: 'codemirror',
+    matches: (host) => host.classList.contains('cm-content'),
+    ignoreSelector: '.cm-placeholder, .cm-widgetBuffer',
+    code: true
+  },
+  {
+    name: 'prosemirror',
+    matches: (host) => host.classList.contains('ProseMirror'),
+    ignoreSelector: '.ProseMirror-widget'
+  },
+  {
+    name: 'slate',
+    matches: (host) => host.hasAttribute('data-slate-editor'),
+    ignoreSelector: '[data-slate-placeholder], [data-slate-zero-width]'
+  },
+  {
+    name: 'lexical',
+    matches: (host) => host.getAttribute('data-lexical-editor') === 'true',
+    ignoreSelector: null
+  },
+  {
+    name: 'draft',
+    matches: (host) => host.classList.contains('public-DraftEditor-content'),
+    ignoreSelector: null
+  },
+  {
+    name: 'quill',
+    matches: (host) => host.classList.contains('ql-editor'),
+    ignoreSelector: '.ql-cursor'
+  },
+  {
+    name: 'gmail',
+    matches: (host) => host.getAttribute('g_editable') === 'true',
+    ignoreSelector: null
+  }
+];
+
+// Editors that type through a hidden textarea and draw the text themselves (Monaco,
+// CodeMirror 5, Ace, Google Docs), where the caret can't be located for an overlay
+const UNSUPPORTED_EDITOR_SELECTOR = '.monaco-editor, .CodeMirror, .ace_editor';
+const UNSUPPORTED_FRAME_SELECTOR = '.docs-texteventtarget-iframe';
+
+// Plain contenteditable elements and editors not listed above
+const GENERIC_EDITOR_ADAPTER = { name: 'generic', matches: () => true, ignoreSelector: null };
+
+// Elements that start a new line in the text read from an editor
+const BLOCK_ELEMENTS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'OL', 'P', 'PRE',
+  'SECTION', 'TABLE', 'TR', 'UL'
+]);
+
+/**
+ * Check if an element is an input or textarea, whose text lives in its value
+ */
+function isTextField(element) {
+  return element?.tagName === 'INPUT' || element?.tagName === 'TEXTAREA';
+}
+
+/**
+ * Get the focused element, looking inside open shadow roots
+ * (document.activeElement stops at the outermost shadow host)
+ */
+function getDeepActiveElement() {
+  let element = document.activeElement;
+
+  while (element?.shadowRoot?.activeElement) {
+    element = element.shadowRoot.activeElement;
+  }
+
+  return element;
+}
+
+/**
+ * Get the selection for a node, from its shadow root when it lives in one
+ * (the window selection is retargeted to the shadow host and has no usable range)
+ */
+function getSelectionFor(node) {
+  const root = node.getRootNode();
+  return root instanceof ShadowRoot && typeof root.getSelection === 'function'
+    ? root.getSelection()
+    : window.getSelection();
+}
+
+/**
+ * Find the editing host of a node: the outermost element of the editable region it belongs to
+ * Covers contenteditable="true" and "plaintext-only", and children that inherit editability.
+ */
+function getEditingHost(node) {
+  let element = node?.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+
+  if (!element || !element.isContentEditable) {
+    return null;
+  }
+
+  while (element.parentElement && element.parentElement.isContentEditable) {
+    element = element.parentElement;
+  }
+
+  return element;
+}
+
+/**
+ * Get the adapter for the editor framework behind an editing host
+ */
+function getEditorAdapter(host) {
+  return EDITOR_ADAPTERS.find(adapter => adapter.matches(host)) || GENERIC_EDITOR_ADAPTER;
+}
+
+/**
+ * Check if an element belongs to an editor that draws its own text, where suggestions are skipped
+ */
+function isUnsupportedEditor(element) {
+  return !!element.closest(UNSUPPORTED_EDITOR_SELECTOR) ||
+    !!window.frameElement?.matches(UNSUPPORTED_FRAME_SELECTOR);
+}
+
+/**
+ * Check if an element is a code editor, and get its programming language when the editor names it
+ */
+function getCodeEditorInfo(element) {
+  if (isTextField(element) || !getEditorAdapter(element).code) {
+    return null;
+  }
+
+  return { language: element.getAttribute('data-language') || '' };
+}
+
+/**
+ * Get the node the caret sits just before, for a selection boundary given as an element
+ * and child offset. Returns null when the caret is at the very end of the host.
+ */
+function getNodeAfterBoundary(host, container, offset) {
+  if (offset < container.childNodes.length) {
+    return container.childNodes[offset];
+  }
+
+  let node = container;
+  while (node && node !== host && !node.nextSibling) {
+    node = node.parentNode;
+  }
+
+  return node && node !== host ? node.nextSibling : null;
+}
+
+/**
+ * Move a tree walker past the current node's subtree
+ * Returns the next node in document order, or null at the end of the walker's root
+ */
+function skipSubtree(walker) {
+  while (!walker.nextSibling()) {
+    if (!walker.parentNode()) {
+      return null;
+    }
+  }
+
+  return walker.currentNode;
+}
+
+/**
+ * Read the text of an editing host and the caret offset within it in a single pass
+ * Blocks and line breaks become newlines, so offsets don't drift across paragraphs
+ * the way innerText-based counting does; nodes the editor framework adds for display
+ * are left out.
+ */
+function getContentEditableContext(host) {
+  const { ignoreSelector } = getEditorAdapter(host);
+  const selection = getSelectionFor(host);
+  const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+  const hasCaret = range && host.contains(range.endContainer);
+
+  // A caret between elements is located by the node it comes before
+  const caretText = hasCaret && range.endContainer.nodeType === Node.TEXT_NODE ? range.endContainer : null;
+  const caretBefore = hasCaret && !caretText ? getNodeAfterBoundary(host, range.endContainer, range.endOffset) : null;
+
+  const walker = document.createTreeWalker(host, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  let text = '';
+  let cursorPos = null;
+  let node = walker.nextNode();
+
+  while (node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (node === caretBefore) {
+        cursorPos = text.length;
+      }
+      if (node === caretText) {
+        cursorPos = text.length + range.endOffset;
+      }
+      text += node.data;
+      node = walker.nextNode();
+      continue;
+    }
+
+    if (BLOCK_ELEMENTS.has(node.tagName) && text && !text.endsWith('\n')) {
+      text += '\n';
+    }
+
+    if (node === caretBefore) {
+      cursorPos = text.length;
+    }
+
+    if (ignoreSelector && node.matches(ignoreSelector)) {
+      if (hasCaret && cursorPos === null && node.contains(range.endContainer)) {
+        cursorPos = text.length;
+      }
+      node = skipSubtree(walker);
+      continue;
+    }
+
+    // A break that ends its block only keeps an empty block open; the block already starts a line
+    const isTrailingBreak = !node.nextSibling && BLOCK_ELEMENTS.has(node.parentElement?.tagName);
+    if (node.tagName === 'BR' && !isTrailingBreak) {
+      text += '\n';
+    }
+
+    node = walker.nextNode();
+  }
+
+  return {
+    text,
+    cursorPos: cursorPos === null ? text.length : cursorPos,
+    hasSelection: hasCaret ? !selection.isCollapsed : false
+  };
+}
+
+/**
+ * Get the screen rectangle of the caret in an editing host
+ * A collapsed range between elements (e.g. on an empty line) has no rectangle of its own,
+ * so the element holding the caret is used instead.
+ */
+function getCaretRect(host) {
+  const selection = getSelectionFor(host);
+  if (selection.rangeCount === 0) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0);
+  const rect = range.getClientRects()[0] || range.getBoundingClientRect();
+  if (rect.width || rect.height || rect.left || rect.top) {
+    return rect;
+  }
+
+  const container = range.endContainer.nodeType === Node.ELEMENT_NODE
+    ? range.endContainer
+    : range.endContainer.parentElement;
+  return (container && host.contains(container) ? container : host).getBoundingClientRect();
+}
+
+/**
+ * Insert text at the caret of an input, textarea or editing host the way typing would
+ * execCommand('insertText') goes through the browser's editing pipeline, so rich editors
+ * see a native beforeinput/input pair, update their model and keep one undo step.
+ * When the browser refuses, editors get a synthetic beforeinput to handle, and as a last
+ * resort the text is spliced into the DOM directly.
+ */
+function insertTextInEditor(element, text) {
+  if (getDeepActiveElement() !== element) {
+    element.focus();
+  }
+
+  if (document.execCommand('insertText', false, text)) {
+    return;
+  }
+
+  console.log('[AI Autocomplete] execCommand insertText unavailable, falling back');
+
+  const beforeInput = new InputEvent('beforeinput', {
+    inputType: 'insertText',
+    data: text,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  });
+
+  // Editors that manage their own model (Slate, Lexical) handle the insert and cancel the event
+  if (!element.dispatchEvent(beforeInput)) {
+    return;
+  }
+
+  if (isTextField(element)) {
+    element.setRangeText(text, element.selectionStart, element.selectionEnd, 'end');
+  } else {
+    const selection = getSelectionFor(element);
+    if (selection.rangeCount === 0) {
+      return;
+    }
+
+    const range = selection.getRangeAt(0);
+    range.deleteContents();
+    const textNode = document.createTextNode(text);
+    range.insertNode(textNode);
+    range.setStartAfter(textNode);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  element.dispatchEvent(new InputEvent('input', { inputType: 'insertText', data: text, bubbles: true, composed: true }));
+}
@@ -2,70 +2,1348 @@
 
 // DOM elements
 let apiKeyInput;
-let modelSelect;
+let modelSearchInput;
+let modelList;
+let modelProviderFilter;
+let modelModalityFilter;
+let modelPriceFilter;
+let modelContextFilter;
 let saveButton;
 let statusMessage;
 let loadingIndicator;
 let currentApiKeyDisplay;
 let currentModelDisplay;
+let currentBudgetDisplay;
+let currentCreditsDisplay;
 let statusIndicator;
 let connectionText;
 let settingsForm;
+let enabledToggle;
+let siteToggleRow;
+let currentSiteDisplay;
+let siteToggleButton;
+let siteRuleModeSelect;
+let sitePatternsInput;
+let keybindingList;
+let triggerModeSelect;
+let providerSelect;
+let providerActions;
+let currentProviderDisplay;
+let apiKeyLabel;
+let apiKeyHelp;
+let promptPresetSelect;
+let promptTemplateInput;
+let sitePresetsInput;
+let lengthModeSelect;
+let richContextToggle;
+let budgetUnitSelect;
+let numericInputs;
+
+// Keybindings as edited in the popup, saved with the rest of the form
+let pendingKeybindings = { ...DEFAULT_KEYBINDINGS };
+
+// Profiles as stored, and the one shown in the profile editor ('' for a new profile)
+let profiles = [];
+let editingProfileId = '';
+
+// Profile fields edited as numbers, by input id
+const PROFILE_NUMBER_INPUTS = {
+  wordLimit: 'profileWordLimit',
+  maxTokens: 'profileMaxTokens',
+  temperature: 'profileTemperature'
+};
+
+// Models of the active provider, the model chosen in the picker (saved with the
+// rest of the form) and the user's favorite models
+let availableModels = [];
+let pendingSelectedModel = '';
+let favoriteModels = [];
+
+// Model picker: rows shown per group, and what makes a model recommended
+const MAX_LISTED_MODELS = 100;
+const RECOMMENDED_MODEL_COUNT = 5;
+const RECOMMENDED_MIN_CONTEXT = 8000;
+
+// Fallback model chain as edited in the popup, saved with the rest of the form
+let pendingFallbackModels = [];
+
+// Most models compared in one benchmark run (each costs a few completions)
+const MAX_BENCHMARK_MODELS = 5;
+
+// Prompt edits by preset id, saved with the rest of the form
+let pendingPrompts = {};
+let editingPresetId = DEFAULT_SETTINGS.promptPreset;
+
+// Result of the latest connection test, and the budget period that paused requests (if any)
+let connectionResult = { status: 'notConfigured' };
+let pausedBudgetPeriod = null;
+
+// Incremented for each connection test, so a slow earlier test cannot overwrite a newer result
+let connectionTestId = 0;
+
+// Status text and indicator style for each connection test outcome
+const CONNECTION_STATUSES = {
+  checking: { text: 'Checking connection...', indicator: '' },
+  connected: { text: 'Connected', indicator: 'connected' },
+  notConfigured: { text: 'Not configured', indicator: 'disconnected' },
+  invalidKey: { text: 'Invalid API key', indicator: 'disconnected' },
+  noCredits: { text: 'No credits left', indicator: 'warning' },
+  networkError: { text: 'Cannot reach the provider', indicator: 'disconnected' },
+  error: { text: 'Connection error', indicator: 'disconnected' }
+};
+
+// Hostname of the active tab, or null when it is not a web page
+let currentHostname = null;
+
+// Latest audit log entries shown in the popup (the export has all of them)
+const AUDIT_LOG_VIEW_LIMIT = 50;
+
+// Period and number of models shown in the suggestion quality table
+const ACCEPTANCE_STATS_DAYS = 30;
+const MAX_ACCEPTANCE_MODELS = 5;
+
+/**
+ * Initialize popup
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  // Get DOM elements
+  apiKeyInput = document.getElementById('apiKey');
+  modelSearchInput = document.getElementById('modelSearch');
+  modelList = document.getElementById('modelList');
+  modelProviderFilter = document.getElementById('modelProviderFilter');
+  modelModalityFilter = document.getElementById('modelModalityFilter');
+  modelPriceFilter = document.getElementById('modelPriceFilter');
+  modelContextFilter = document.getElementById('modelContextFilter');
+  saveButton = document.getElementById('saveButton');
+  statusMessage = document.getElementById('statusMessage');
+  loadingIndicator = document.getElementById('loadingIndicator');
+  currentApiKeyDisplay = document.getElementById('currentApiKey');
+  currentModelDisplay = document.getElementById('currentModel');
+  currentBudgetDisplay = document.getElementById('currentBudget');
+  currentCreditsDisplay = document.getElementById('currentCredits');
+  statusIndicator = document.getElementById('statusIndicator');
+  connectionText = document.getElementById('connectionText');
+  settingsForm = document.getElementById('settingsForm');
+  enabledToggle = document.getElementById('enabledToggle');
+  siteToggleRow = document.getElementById('siteToggleRow');
+  currentSiteDisplay = document.getElementById('currentSite');
+  siteToggleButton = document.getElementById('siteToggleButton');
+  siteRuleModeSelect = document.getElementById('siteRuleMode');
+  sitePatternsInput = document.getElementById('sitePatterns');
+  keybindingList = document.getElementById('keybindingList');
+  triggerModeSelect = document.getElementById('triggerMode');
+  providerSelect = document.getElementById('providerSelect');
+  providerActions = document.getElementById('providerActions');
+  currentProviderDisplay = document.getElementById('currentProvider');
+  apiKeyLabel = document.getElementById('apiKeyLabel');
+  apiKeyHelp = document.getElementById('apiKeyHelp');
+  promptPresetSelect = document.getElementById('promptPreset');
+  promptTemplateInput = document.getElementById('promptTemplate');
+  sitePresetsInput = document.getElementById('sitePresets');
+  lengthModeSelect = document.getElementById('lengthMode');
+  richContextToggle = document.getElementById('richContext');
+  budgetUnitSelect = document.getElementById('budgetUnit');
+  numericInputs = {};
+  Object.keys(NUMERIC_SETTING_BOUNDS).forEach(name => {
+    numericInputs[name] = document.getElementById(name);
+    numericInputs[name].min = NUMERIC_SETTING_BOUNDS[name].min;
+    numericInputs[name].max = NUMERIC_SETTING_BOUNDS[name].max;
+  });
+
+  // Find the site shown in the active tab
+  currentHostname = await getActiveTabHostname();
+
+  // Load current settings
+  await loadSettings();
+  await loadBudgetStatus();
+  await loadAcceptanceStats();
+  await loadSiteSettings();
+  await loadKeybindings();
+  await loadPromptSettings();
+  await loadGenerationSettings();
+  await loadFallbackModels();
+  await loadProfiles();
+  await loadAuditLog();
+
+  // Load models
+  await loadModels();
+
+  // Setup event listeners
+  settingsForm.addEventListener('submit', handleSave);
+  apiKeyInput.addEventListener('input', handleApiKeyInput);
+  document.getElementById('testConnectionButton').addEventListener('click', handleTestConnection);
+  enabledToggle.addEventListener('change', handleEnabledToggle);
+  siteToggleButton.addEventListener('click', handleSiteToggle);
+  providerSelect.addEventListener('change', handleProviderChange);
+  promptPresetSelect.addEventListener('change', handlePresetChange);
+  lengthModeSelect.addEventListener('change', renderLengthMode);
+  document.getElementById('resetPrompt').addEventListener('click', handleResetPrompt);
+  document.getElementById('addProviderButton').addEventListener('click', handleAddProvider);
+  document.getElementById('removeProviderButton').addEventListener('click', handleRemoveProvider);
+  document.getElementById('newProviderType').addEventListener('change', (event) => {
+    document.getElementById('newProviderBaseUrl').placeholder = PROVIDER_TYPES[event.target.value].defaultBaseUrl;
+  });
+  document.getElementById('resetKeybindings').addEventListener('click', handleResetKeybindings);
+  document.getElementById('addFallbackButton').addEventListener('click', handleAddFallback);
+  document.getElementById('runBenchmarkButton').addEventListener('click', handleRunBenchmark);
+  document.getElementById('viewAuditLogButton').addEventListener('click', handleViewAuditLog);
+  document.getElementById('exportAuditLogButton').addEventListener('click', handleExportAuditLog);
+  document.getElementById('clearAuditLogButton').addEventListener('click', handleClearAuditLog);
+  modelSearchInput.addEventListener('input', renderModelList);
+  [modelProviderFilter, modelModalityFilter, modelPriceFilter, modelContextFilter].forEach(filter => {
+    filter.addEventListener('change', renderModelList);
+  });
+  document.getElementById('profileSelect').addEventListener('change', (event) => {
+    editingProfileId = event.target.value;
+    renderProfileEditor();
+  });
+  document.getElementById('saveProfileButton').addEventListener('click', handleSaveProfile);
+  document.getElementById('deleteProfileButton').addEventListener('click', handleDeleteProfile);
+  document.getElementById('openCommandShortcuts').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+  document.getElementById('openStats').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('stats.html') });
+  });
+});
+
+/**
+ * Get the hostname of the active tab if it is a web page
+ */
+async function getActiveTabHostname() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = new URL(tab?.url || '');
+    return ['http:', 'https:'].includes(url.protocol) ? url.hostname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load global and per-site enable settings
+ */
+async function loadSiteSettings() {
+  try {
+    const settings = await getSettings();
+
+    enabledToggle.checked = settings.enabled;
+    triggerModeSelect.value = settings.triggerMode;
+    siteRuleModeSelect.value = settings.siteRuleMode;
+    sitePatternsInput.value = settings.sitePatterns.join('\n');
+    document.getElementById('redactSensitiveData').checked = settings.redactSensitiveData;
+    document.getElementById('redactionPatterns').value = settings.redactionPatterns.join('\n');
+    document.getElementById('neverSendSites').value = settings.neverSendSites.join('\n');
+    document.getElementById('auditLog').checked = settings.auditLog;
+
+    renderInputTypes(settings.inputTypes);
+    renderSiteToggle(settings);
+  } catch (error) {
+    console.error('Error loading site settings:', error);
+    showStatus('Error loading site settings', 'error');
+  }
+}
+
+/**
+ * Show a checkbox for each input type that can be chosen for autocomplete
+ */
+function renderInputTypes(inputTypes) {
+  const labels = Object.entries(INPUT_TYPE_OPTIONS).map(([type, name]) => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = type;
+    checkbox.checked = inputTypes.includes(type);
+
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    label.append(checkbox, name);
+    return label;
+  });
+
+  document.getElementById('inputTypeList').replaceChildren(...labels);
+}
+
+/**
+ * Show whether autocomplete runs on the active tab's site
+ */
+function renderSiteToggle(settings) {
+  if (!currentHostname) {
+    siteToggleRow.hidden = true;
+    return;
+  }
+
+  siteToggleRow.hidden = false;
+
+  if (!settings.enabled) {
+    currentSiteDisplay.textContent = `${currentHostname}: off everywhere`;
+    siteToggleButton.textContent = 'Disable on this site';
+    siteToggleButton.disabled = true;
+    return;
+  }
+
+  const enabled = isSiteEnabled(settings, currentHostname);
+  currentSiteDisplay.textContent = `${currentHostname}: ${enabled ? 'enabled' : 'disabled'}`;
+  siteToggleButton.textContent = enabled ? 'Disable on this site' : 'Enable on this site';
+  siteToggleButton.disabled = false;
+}
+
+/**
+ * Handle the global enable checkbox
+ */
+async function handleEnabledToggle() {
+  try {
+    await chrome.storage.sync.set({ enabled: enabledToggle.checked });
+    renderSiteToggle(await getSettings());
+  } catch (error) {
+    console.error('Error saving enabled setting:', error);
+    showStatus('Error saving settings: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Handle the quick enable/disable toggle for the active tab's site
+ * Only the entry for the exact hostname is added or removed; wildcard patterns that
+ * also match it are left for the user to edit.
+ */
+async function handleSiteToggle() {
+  try {
+    const settings = await getSettings();
+    const enabled = isSiteEnabled(settings, currentHostname);
+    const others = settings.sitePatterns.filter(pattern => pattern !== currentHostname);
+
+    // Blocklist: disabling adds the site. Allowlist: disabling removes it.
+    const shouldList = settings.siteRuleMode === 'allowlist' ? !enabled : enabled;
+    const sitePatterns = shouldList ? [...others, currentHostname] : others;
+
+    await chrome.storage.sync.set({ sitePatterns });
+
+    const updated = { ...settings, sitePatterns };
+    sitePatternsInput.value = sitePatterns.join('\n');
+    renderSiteToggle(updated);
+
+    // A wildcard pattern that matches the site still decides whether it runs
+    if (isSiteEnabled(updated, currentHostname) === enabled) {
+      const wildcards = others.filter(pattern => matchesSitePattern(pattern, currentHostname));
+      showStatus(`${currentHostname} is still ${enabled ? 'enabled' : 'disabled'} by ${wildcards.join(', ')}. Edit the site list to change it.`, 'error');
+    }
+  } catch (error) {
+    console.error('Error updating site rules:', error);
+    showStatus('Error saving settings: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Load keybindings from storage
+ */
+async function loadKeybindings() {
+  try {
+    pendingKeybindings = getKeybindings(await getSettings());
+    renderKeybindings();
+  } catch (error) {
+    console.error('Error loading keybindings:', error);
+    showStatus('Error loading keyboard shortcuts', 'error');
+  }
+}
+
+/**
+ * Render one shortcut field per keybinding action
+ */
+function renderKeybindings() {
+  keybindingList.innerHTML = '';
+
+  Object.keys(KEYBINDING_LABELS).forEach(action => {
+    const row = document.createElement('div');
+    row.className = 'keybinding-row';
+
+    const label = document.createElement('span');
+    label.className = 'setting-label';
+    label.textContent = KEYBINDING_LABELS[action];
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.className = 'keybinding-input';
+    input.value = formatShortcut(pendingKeybindings[action]);
+
+    input.addEventListener('focus', () => {
+      input.value = 'Press keys...';
+    });
+    input.addEventListener('blur', () => {
+      input.value = formatShortcut(pendingKeybindings[action]);
+    });
+    input.addEventListener('keydown', (event) => handleKeybindingCapture(event, action, input));
+
+    row.appendChild(label);
+    row.appendChild(input);
+    keybindingList.appendChild(row);
+  });
+}
+
+/**
+ * Record a new shortcut pressed in a keybinding field
+ */
+function handleKeybindingCapture(event, action, input) {
+  // Capture every key, including Tab and Escape, since they are valid shortcuts
+  event.preventDefault();
+
+  const shortcut = eventToShortcut(event);
+  if (!shortcut) {
+    // Only a modifier so far; wait for the rest of the combination
+    return;
+  }
+
+  pendingKeybindings[action] = shortcut;
+  input.blur();
+
+  const errors = validateKeybindings(pendingKeybindings);
+  if (errors.length > 0) {
+    showStatus(errors.join('. '), 'error');
+  } else {
+    hideStatus();
+  }
+}
+
+/**
+ * Restore the default keybindings (saved with the form)
+ */
+function handleResetKeybindings(event) {
+  event.preventDefault();
+  pendingKeybindings = { ...DEFAULT_KEYBINDINGS };
+  renderKeybindings();
+  hideStatus();
+}
+
+/**
+ * Get the keybindings that differ from the defaults, for storage
+ */
+function getKeybindingOverrides(keybindings) {
+  const overrides = {};
+
+  Object.keys(keybindings).forEach(action => {
+    if (keybindings[action] !== DEFAULT_KEYBINDINGS[action]) {
+      overrides[action] = keybindings[action];
+    }
+  });
+
+  return overrides;
+}
+
+/**
+ * Load completion styles and per-site style assignments
+ */
+async function loadPromptSettings() {
+  try {
+    const settings = await getSettings();
+
+    promptPresetSelect.innerHTML = '';
+    Object.keys(PROMPT_PRESETS).forEach(presetId => {
+      const option = document.createElement('option');
+      option.value = presetId;
+      option.textContent = PROMPT_PRESETS[presetId].name;
+      promptPresetSelect.appendChild(option);
+    });
+
+    pendingPrompts = { ...settings.customPrompts };
+    editingPresetId = PROMPT_PRESETS[settings.promptPreset] ? settings.promptPreset : DEFAULT_SETTINGS.promptPreset;
+    promptPresetSelect.value = editingPresetId;
+    promptTemplateInput.value = getPromptTemplate({ customPrompts: pendingPrompts }, editingPresetId);
+
+    sitePresetsInput.value = settings.sitePresets
+      .map(({ pattern, preset }) => `${pattern} = ${PROMPT_PRESETS[preset]?.name || preset}`)
+      .join('\n');
+  } catch (error) {
+    console.error('Error loading completion styles:', error);
+    showStatus('Error loading completion styles', 'error');
+  }
+}
+
+/**
+ * Load profiles and profile rules
+ */
+async function loadProfiles() {
+  try {
+    const settings = await getSettings();
+    profiles = settings.profiles;
+
+    if (!profiles.some(({ id }) => id === editingProfileId)) {
+      editingProfileId = profiles[0]?.id || '';
+    }
+
+    document.getElementById('profileRules').value = settings.profileRules
+      .map(({ pattern, profile }) => `${pattern} = ${profiles.find(({ id }) => id === profile)?.name || profile}`)
+      .join('\n');
+
+    renderProfileSelect();
+    renderProfileEditor();
+  } catch (error) {
+    console.error('Error loading profiles:', error);
+    showStatus('Error loading profiles', 'error');
+  }
+}
+
+/**
+ * Fill a select with a "Default" option followed by the given options
+ */
+function setProfileOptions(select, options) {
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = 'Default';
+  select.replaceChildren(defaultOption, ...options);
+}
+
+/**
+ * Create an option element
+ */
+function createOption(value, text) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = text;
+  return option;
+}
+
+/**
+ * List the profiles in the profile dropdown, plus an entry for creating one
+ */
+function renderProfileSelect() {
+  const profileSelect = document.getElementById('profileSelect');
+  profileSelect.replaceChildren(
+    ...profiles.map(({ id, name }) => createOption(id, name)),
+    createOption('', 'New profile...')
+  );
+  profileSelect.value = editingProfileId;
+}
+
+/**
+ * Show the profile being edited, or an empty form for a new profile
+ */
+function renderProfileEditor() {
+  const profile = profiles.find(({ id }) => id === editingProfileId) || {};
+
+  populateProfileModelSelect(profile.selectedModel);
+  setProfileOptions(document.getElementById('profilePreset'),
+    Object.keys(PROMPT_PRESETS).map(presetId => createOption(presetId, PROMPT_PRESETS[presetId].name)));
+  setProfileOptions(document.getElementById('profileLengthMode'),
+    Array.from(lengthModeSelect.options).map(option => option.cloneNode(true)));
+  setProfileOptions(document.getElementById('profileTriggerMode'),
+    Array.from(triggerModeSelect.options).map(option => option.cloneNode(true)));
+
+  document.getElementById('profileName').value = profile.name || '';
+  document.getElementById('profileModel').value = profile.selectedModel || '';
+  document.getElementById('profilePreset').value = profile.promptPreset || '';
+  document.getElementById('profileLengthMode').value = profile.lengthMode || '';
+  document.getElementById('profileTriggerMode').value = profile.triggerMode || '';
+  Object.keys(PROFILE_NUMBER_INPUTS).forEach(field => {
+    const input = document.getElementById(PROFILE_NUMBER_INPUTS[field]);
+    input.min = NUMERIC_SETTING_BOUNDS[field].min;
+    input.max = NUMERIC_SETTING_BOUNDS[field].max;
+    input.value = profile[field] ?? '';
+  });
+
+  document.getElementById('deleteProfileButton').hidden = !editingProfileId;
+}
+
+/**
+ * Offer the loaded models for the profile being edited, keeping its model even before the list loads
+ */
+function populateProfileModelSelect(selectedModel) {
+  const profileModelSelect = document.getElementById('profileModel');
+  const options = createModelOptions();
+
+  setProfileOptions(profileModelSelect, options);
+
+  if (selectedModel && !profileModelSelect.querySelector(`option[value="${CSS.escape(selectedModel)}"]`)) {
+    profileModelSelect.appendChild(createOption(selectedModel, formatModelName(selectedModel)));
+  }
+  profileModelSelect.value = selectedModel || '';
+}
+
+/**
+ * Save the profile in the editor, creating it if it is new
+ */
+async function handleSaveProfile() {
+  const name = document.getElementById('profileName').value.trim();
+  if (!name) {
+    showStatus('Enter a name for the profile', 'error');
+    return;
+  }
+
+  if (profiles.some(profile => profile.id !== editingProfileId && profile.name.toLowerCase() === name.toLowerCase())) {
+    showStatus(`A profile named "${name}" already exists`, 'error');
+    return;
+  }
+
+  const profile = {
+    id: editingProfileId || `profile_${Date.now()}`,
+    name: name,
+    selectedModel: document.getElementById('profileModel').value,
+    promptPreset: document.getElementById('profilePreset').value,
+    lengthMode: document.getElementById('profileLengthMode').value,
+    triggerMode: document.getElementById('profileTriggerMode').value
+  };
+  Object.keys(PROFILE_NUMBER_INPUTS).forEach(field => {
+    const value = document.getElementById(PROFILE_NUMBER_INPUTS[field]).value;
+    profile[field] = value === '' ? '' : clampSetting(field, value);
+  });
+
+  try {
+    const updated = editingProfileId
+      ? profiles.map(entry => entry.id === editingProfileId ? profile : entry)
+      : [...profiles, profile];
+
+    await chrome.storage.sync.set({ profiles: updated });
+    editingProfileId = profile.id;
+    await loadProfiles();
+    showStatus(`Saved profile "${name}"`, 'success');
+  } catch (error) {
+    console.error('Error saving profile:', error);
+    showStatus('Error saving profile: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Delete the profile in the editor, along with the rules that use it
+ */
+async function handleDeleteProfile() {
+  try {
+    const settings = await getSettings();
+    await chrome.storage.sync.set({
+      profiles: profiles.filter(({ id }) => id !== editingProfileId),
+      profileRules: settings.profileRules.filter(({ profile }) => profile !== editingProfileId)
+    });
+
+    editingProfileId = '';
+    await loadProfiles();
+    showStatus('Profile deleted', 'success');
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    showStatus('Error deleting profile: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Parse the profile rules textarea ("URL pattern = profile name" per line)
+ * Returns the rules and a list of errors for lines that could not be understood
+ */
+function parseProfileRules(value) {
+  const rules = [];
+  const errors = [];
+
+  value.split('\n').forEach(line => {
+    if (!line.trim()) {
+      return;
+    }
+
+    const separator = line.lastIndexOf('=');
+    const pattern = normalizeUrlPattern(separator > 0 ? line.slice(0, separator) : '');
+    const name = (separator > 0 ? line.slice(separator + 1) : '').trim().toLowerCase();
+    const profile = profiles.find(entry => entry.name.toLowerCase() === name);
+
+    if (!pattern || !profile) {
+      errors.push(`Unrecognized profile rule "${line.trim()}"`);
+      return;
+    }
+
+    rules.push({ pattern, profile: profile.id });
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Load the fallback model chain
+ */
+async function loadFallbackModels() {
+  try {
+    const settings = await getSettings();
+    pendingFallbackModels = [...settings.fallbackModels];
+    renderFallbackModels();
+  } catch (error) {
+    console.error('Error loading fallback models:', error);
+    showStatus('Error loading fallback models', 'error');
+  }
+}
+
+/**
+ * Show the fallback models in order, each with move and remove buttons
+ */
+function renderFallbackModels() {
+  const list = document.getElementById('fallbackList');
+  list.innerHTML = '';
+
+  pendingFallbackModels.forEach((model, index) => {
+    const row = document.createElement('div');
+    row.className = 'fallback-row';
+
+    const label = document.createElement('span');
+    label.className = 'setting-label';
+    label.textContent = `${index + 1}. ${formatModelName(model)}`;
+    label.title = model;
+    row.appendChild(label);
+
+    const buttons = [
+      { text: '\u2191', title: 'Move up', disabled: index === 0, offset: -1 },
+      { text: '\u2193', title: 'Move down', disabled: index === pendingFallbackModels.length - 1, offset: 1 },
+      { text: '\u00d7', title: 'Remove', disabled: false, offset: 0 }
+    ];
+    buttons.forEach(({ text, title, disabled, offset }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'secondary-button';
+      button.textContent = text;
+      button.title = title;
+      button.disabled = disabled;
+      button.addEventListener('click', () => handleFallbackAction(index, offset));
+      row.appendChild(button);
+    });
+
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Move a fallback model up (offset -1) or down (offset 1), or remove it (offset 0)
+ */
+function handleFallbackAction(index, offset) {
+  const [model] = pendingFallbackModels.splice(index, 1);
+  if (offset !== 0) {
+    pendingFallbackModels.splice(index + offset, 0, model);
+  }
+  renderFallbackModels();
+}
+
+/**
+ * Add the model chosen in the fallback dropdown to the end of the chain
+ */
+function handleAddFallback() {
+  const fallbackModelSelect = document.getElementById('fallbackModelSelect');
+  const model = fallbackModelSelect.value;
+
+  if (!model) {
+    return;
+  }
+
+  if (model === pendingSelectedModel || pendingFallbackModels.includes(model)) {
+    showStatus('That model is already in the chain', 'error');
+    return;
+  }
+
+  pendingFallbackModels.push(model);
+  fallbackModelSelect.value = '';
+  renderFallbackModels();
+}
+
+/**
+ * Offer the loaded models for benchmarking, starting with the selected, fallback and favorite models
+ */
+function populateBenchmarkModelSelect() {
+  const benchmarkModelSelect = document.getElementById('benchmarkModels');
+  const preselected = [...new Set([pendingSelectedModel, ...pendingFallbackModels, ...favoriteModels])]
+    .filter(Boolean)
+    .slice(0, MAX_BENCHMARK_MODELS);
+
+  benchmarkModelSelect.replaceChildren(...createModelOptions());
+  Array.from(benchmarkModelSelect.options).forEach(option => {
+    option.selected = preselected.includes(option.value);
+  });
+  benchmarkModelSelect.disabled = false;
+  document.getElementById('runBenchmarkButton').disabled = false;
+}
+
+/**
+ * Benchmark the chosen models one after another and show them side by side, fastest first
+ */
+async function handleRunBenchmark() {
+  const benchmarkModelSelect = document.getElementById('benchmarkModels');
+  const runButton = document.getElementById('runBenchmarkButton');
+  const progress = document.getElementById('benchmarkStatus');
+  const models = Array.from(benchmarkModelSelect.selectedOptions).map(option => option.value);
+
+  if (models.length === 0) {
+    showStatus('Choose at least one model to benchmark', 'error');
+    return;
+  }
+  if (models.length > MAX_BENCHMARK_MODELS) {
+    showStatus(`Benchmark up to ${MAX_BENCHMARK_MODELS} models at a time`, 'error');
+    return;
+  }
+
+  const results = [];
+  runButton.disabled = true;
+  benchmarkModelSelect.disabled = true;
+  document.getElementById('benchmarkResults').hidden = true;
+
+  try {
+    for (const [index, model] of models.entries()) {
+      progress.textContent = `Benchmarking ${formatModelName(model)} (${index + 1} of ${models.length})...`;
+      const result = await chrome.runtime.sendMessage({ action: 'runBenchmark', model });
+      results.push({ ...result, model });
+      renderBenchmarkResults(results);
+    }
+    progress.textContent = 'Times are averages over the sample texts. Benchmark requests are billed and counted in the usage stats.';
+  } catch (error) {
+    console.error('Error running benchmark:', error);
+    progress.textContent = '';
+    showStatus('Error running benchmark', 'error');
+  } finally {
+    runButton.disabled = false;
+    benchmarkModelSelect.disabled = false;
+  }
+}
+
+/**
+ * Show benchmark results, fastest total latency first and failed models last
+ */
+function renderBenchmarkResults(results) {
+  const rows = [...results]
+    .sort((a, b) => (b.success - a.success) || (a.latencyMs - b.latencyMs))
+    .map(result => {
+      const row = document.createElement('tr');
+      const values = result.success
+        ? [
+          formatModelName(result.model),
+          `${Math.round(result.ttftMs)} ms`,
+          `${Math.round(result.latencyMs)} ms`,
+          result.cost === null ? 'Unknown' : `$${result.cost.toFixed(5)}`,
+          `${Math.round(result.length)} chars`
+        ]
+        : [formatModelName(result.model), 'Failed', '-', '-', '-'];
+
+      values.forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+
+      row.title = result.success
+        ? `${result.model}: ${result.completed} of ${result.samples} samples completed`
+        : `${result.model}: ${result.error}`;
+      return row;
+    });
+
+  document.getElementById('benchmarkTable').replaceChildren(...rows);
+  document.getElementById('benchmarkResults').hidden = false;
+}
+
+/**
+ * Offer the loaded models for the fallback chain
+ */
+function populateFallbackModelSelect() {
+  const fallbackModelSelect = document.getElementById('fallbackModelSelect');
+
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Choose a model to add';
+
+  fallbackModelSelect.replaceChildren(
+    placeholder,
+    ...createModelOptions()
+  );
+  fallbackModelSelect.value = '';
+  fallbackModelSelect.disabled = false;
+}
+
+/**
+ * Load completion length, sampling and cache settings
+ */
+async function loadGenerationSettings() {
+  try {
+    const settings = await getSettings();
+
+    lengthModeSelect.value = settings.lengthMode;
+    richContextToggle.checked = settings.richContext;
+    budgetUnitSelect.value = settings.budgetUnit;
+    Object.keys(NUMERIC_SETTING_BOUNDS).forEach(name => {
+      numericInputs[name].value = clampSetting(name, settings[name]);
+    });
+
+    renderLengthMode();
+  } catch (error) {
+    console.error('Error loading completion length:', error);
+    showStatus('Error loading completion length', 'error');
+  }
+}
+
+/**
+ * The word limit only applies in word mode
+ */
+function renderLengthMode() {
+  numericInputs.wordLimit.disabled = lengthModeSelect.value === 'sentence';
+}
+
+/**
+ * Keep edits to the previous style and show the prompt for the newly selected one
+ */
+function handlePresetChange() {
+  pendingPrompts[editingPresetId] = promptTemplateInput.value;
+  editingPresetId = promptPresetSelect.value;
+  promptTemplateInput.value = getPromptTemplate({ customPrompts: pendingPrompts }, editingPresetId);
+}
+
+/**
+ * Restore the built-in prompt for the selected style (saved with the form)
+ */
+function handleResetPrompt(event) {
+  event.preventDefault();
+  delete pendingPrompts[editingPresetId];
+  promptTemplateInput.value = PROMPT_PRESETS[editingPresetId].prompt;
+}
+
+/**
+ * Get the edited prompts that differ from the built-in ones, for storage
+ */
+function getCustomPrompts() {
+  pendingPrompts[editingPresetId] = promptTemplateInput.value;
+
+  const customPrompts = {};
+  Object.keys(pendingPrompts).forEach(presetId => {
+    const prompt = pendingPrompts[presetId].trim();
+    if (prompt && prompt !== PROMPT_PRESETS[presetId]?.prompt) {
+      customPrompts[presetId] = prompt;
+    }
+  });
+
+  return customPrompts;
+}
+
+/**
+ * Parse the per-site style textarea ("pattern = style name" per line)
+ * Styles may be given by name or id; unknown styles are reported as errors
+ */
+function parseSitePresets(value) {
+  const assignments = [];
+  const errors = [];
+
+  value.split('\n').forEach(line => {
+    if (!line.trim()) {
+      return;
+    }
+
+    const separator = line.lastIndexOf('=');
+    const pattern = normalizeSitePattern(separator > 0 ? line.slice(0, separator) : '');
+    const style = (separator > 0 ? line.slice(separator + 1) : '').trim().toLowerCase();
+    const preset = Object.keys(PROMPT_PRESETS).find(presetId =>
+      presetId.toLowerCase() === style || PROMPT_PRESETS[presetId].name.toLowerCase() === style
+    );
+
+    if (!pattern || !preset) {
+      errors.push(`Unrecognized per-site style "${line.trim()}"`);
+      return;
+    }
+
+    assignments.push({ pattern, preset });
+  });
+
+  return { assignments, errors };
+}
+
+/**
+ * Parse the site pattern textarea into a list of unique patterns
+ */
+function parseSitePatterns(value) {
+  const patterns = value
+    .split('\n')
+    .map(normalizeSitePattern)
+    .filter(Boolean);
+
+  return [...new Set(patterns)];
+}
+
+/**
+ * Load current settings from storage
+ */
+async function loadSettings() {
+  try {
+    const settings = await getSettings();
+    const { selectedModel } = settings;
+    const provider = getActiveProviderSettings(settings);
+    const providerType = PROVIDER_TYPES[provider.type];
+
+    renderProviders(settings, provider);
+
+    // Display masked API key
+    if (provider.apiKey) {
+      currentApiKeyDisplay.textContent = maskApiKey(provider.apiKey);
+      apiKeyInput.placeholder = 'Enter new key to update';
+    } else if (!providerType.requiresApiKey) {
+      currentApiKeyDisplay.textContent = 'Not required';
+      apiKeyInput.placeholder = 'Optional';
+    } else {
+      currentApiKeyDisplay.textContent = 'Not configured';
+      apiKeyInput.placeholder = 'sk-or-v1-...';
+    }
+
+    // Check the saved key against the provider in the background, without holding up the popup
+    checkConnection();
+
+    // Display selected model
+    if (selectedModel) {
+      currentModelDisplay.textContent = formatModelName(selectedModel);
+    } else {
+      currentModelDisplay.textContent = 'Not configured';
+    }
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    showStatus('Error loading settings', 'error');
+  }
+}
+
+/**
+ * Show how much of the spend budget is used, and whether suggestions are paused
+ */
+async function loadBudgetStatus() {
+  try {
+    const [settings, { [USAGE_STATS_KEY]: stats }] = await Promise.all([
+      getSettings(),
+      chrome.storage.local.get(USAGE_STATS_KEY)
+    ]);
+    const budget = getBudgetStatus(settings, stats);
+
+    pausedBudgetPeriod = budget.state === 'exhausted' ? budget.exhaustedPeriod : null;
+    renderConnectionStatus();
+
+    if (budget.state === 'none') {
+      currentBudgetDisplay.textContent = 'No limit';
+      return;
+    }
+
+    // Show the budget closest to its limit
+    const tightest = [budget.daily, budget.monthly]
+      .filter(({ limit }) => limit > 0)
+      .sort((a, b) => b.spent / b.limit - a.spent / a.limit)[0];
+    const periodName = tightest.period === 'daily' ? 'today' : 'this month';
+    currentBudgetDisplay.textContent =
+      `${formatBudgetAmount(tightest.spent, budget.unit)} of ${formatBudgetAmount(tightest.limit, budget.unit)} ${periodName}`;
+
+    // Requests to models with no known price can't be counted against a dollar budget
+    if (budget.unpriced > 0) {
+      currentBudgetDisplay.textContent +=
+        ` (plus ${budget.unpriced} request${budget.unpriced === 1 ? '' : 's'} with unknown pricing)`;
+    }
+  } catch (error) {
+    console.error('Error loading budget status:', error);
+  }
+}
+
+/**
+ * Read the audit log from local storage
+ */
+async function getAuditLog() {
+  const { [AUDIT_LOG_KEY]: log } = await chrome.storage.local.get(AUDIT_LOG_KEY);
+  return log || [];
+}
+
+/**
+ * Show how many requests the audit log holds, and refresh the entries if they are shown
+ */
+async function loadAuditLog() {
+  try {
+    const [log, { [AUDIT_LOG_ERROR_KEY]: saveError }] = await Promise.all([
+      getAuditLog(),
+      chrome.storage.local.get(AUDIT_LOG_ERROR_KEY)
+    ]);
+
+    const count = document.getElementById('auditLogCount');
+    count.textContent = log.length === 0
+      ? 'No requests logged'
+      : `${log.length} request${log.length === 1 ? '' : 's'} logged`;
+
+    // New requests aren't being logged, e.g. because local storage is full
+    if (saveError) {
+      count.textContent += `. Logging failed at ${new Date(saveError.time).toLocaleString()}: ${saveError.message}`;
+    }
+    document.getElementById('viewAuditLogButton').disabled = log.length === 0;
+    document.getElementById('exportAuditLogButton').disabled = log.length === 0;
+    document.getElementById('clearAuditLogButton').disabled = log.length === 0;
+
+    const list = document.getElementById('auditLogList');
+    if (log.length === 0) {
+      list.hidden = true;
+    }
+    document.getElementById('viewAuditLogButton').textContent = list.hidden ? 'View' : 'Hide';
+    if (!list.hidden) {
+      renderAuditLog(log);
+    }
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+  }
+}
+
+/**
+ * Render the latest audit log entries, newest first
+ */
+function renderAuditLog(log) {
+  const entries = log.slice(-AUDIT_LOG_VIEW_LIMIT).reverse().map(entry => {
+    const item = document.createElement('div');
+    item.className = 'audit-entry';
+
+    const meta = document.createElement('div');
+    meta.className = 'audit-entry-meta';
+    meta.textContent = `${new Date(entry.time).toLocaleString()} \u00b7 ${entry.origin} \u00b7 ${formatModelName(entry.model)}`;
+    if (entry.samples > 1) {
+      meta.textContent += ` \u00b7 ${entry.samples} suggestions`;
+    }
+
+    // The user's text as sent, followed by what came back; the full prompt shows on hover
+    const messages = typeof entry.payload === 'string' ? [{ role: 'user', content: entry.payload }] : entry.payload || [];
+    const text = document.createElement('div');
+    text.className = 'audit-entry-text';
+    text.textContent = entry.payload
+      ? messages.filter(({ role }) => role === 'user').map(({ content }) => content).join('\n')
+      : entry.context || ''; // entries logged before the payload was recorded
+
+    const result = document.createElement('span');
+    result.className = entry.error ? 'audit-entry-error' : 'audit-entry-completion';
+    result.textContent = entry.error ? ` [${entry.error}]` : ` ${entry.completion}`;
+    text.append(result);
+
+    item.title = messages.map(({ role, content }) => `${role}: ${content}`).join('\n\n');
+
+    item.append(meta, text);
+    return item;
+  });
+
+  document.getElementById('auditLogList').replaceChildren(...entries);
+}
+
+/**
+ * Show or hide the audit log entries
+ */
+async function handleViewAuditLog() {
+  const list = document.getElementById('auditLogList');
+  list.hidden = !list.hidden;
+  await loadAuditLog();
+}
+
+/**
+ * Download the whole audit log as JSON Lines, one request per line
+ */
+async function handleExportAuditLog() {
+  try {
+    const log = await getAuditLog();
+    const jsonl = log.map(entry => JSON.stringify({ ...entry, time: new Date(entry.time).toISOString() })).join('\n') + '\n';
+    const url = URL.createObjectURL(new Blob([jsonl], { type: 'application/x-ndjson' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `autocomplete-audit-log-${getLocalDayKey(new Date())}.jsonl`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    showStatus('Error exporting audit log', 'error');
+  }
+}
 
 /**
- * Initialize popup
+ * Delete all audit log entries
  */
-document.addEventListener('DOMContentLoaded', async () => {
-  // Get DOM elements
-  apiKeyInput = document.getElementById('apiKey');
-  modelSelect = document.getElementById('modelSelect');
-  saveButton = document.getElementById('saveButton');
-  statusMessage = document.getElementById('statusMessage');
-  loadingIndicator = document.getElementById('loadingIndicator');
-  currentApiKeyDisplay = document.getElementById('currentApiKey');
-  currentModelDisplay = document.getElementById('currentModel');
-  statusIndicator = document.getElementById('statusIndicator');
-  connectionText = document.getElementById('connectionText');
-  settingsForm = document.getElementById('settingsForm');
+async function handleClearAuditLog() {
+  if (!confirm('Delete the audit log?')) {
+    return;
+  }
 
-  // Load current settings
-  await loadSettings();
+  try {
+    await chrome.storage.local.remove([AUDIT_LOG_KEY, AUDIT_LOG_ERROR_KEY]);
+    await loadAuditLog();
+    showStatus('Audit log cleared', 'success');
+  } catch (error) {
+    console.error('Error clearing audit log:', error);
+    showStatus('Error clearing audit log', 'error');
+  }
+}
 
-  // Load models
-  await loadModels();
+/**
+ * Show the acceptance rate and average accepted length of each model's suggestions,
+ * and the acceptance rate on the active tab's site
+ */
+async function loadAcceptanceStats() {
+  try {
+    const { [USAGE_STATS_KEY]: stats } = await chrome.storage.local.get(USAGE_STATS_KEY);
+    const days = getRecentDayKeys(ACCEPTANCE_STATS_DAYS);
+    const byModel = sumUsageTotals(stats, days, 'model');
+    const models = Object.keys(byModel)
+      .filter(model => byModel[model].shown > 0)
+      .sort((a, b) => byModel[b].shown - byModel[a].shown)
+      .slice(0, MAX_ACCEPTANCE_MODELS);
 
-  // Setup event listeners
-  settingsForm.addEventListener('submit', handleSave);
-  apiKeyInput.addEventListener('input', handleApiKeyInput);
-});
+    const section = document.getElementById('acceptanceStats');
+    section.hidden = models.length === 0;
+    if (models.length === 0) {
+      return;
+    }
+
+    const rows = models.map(model => {
+      const totals = byModel[model];
+      const row = document.createElement('tr');
+      [
+        formatModelName(model),
+        `${formatAcceptanceRate(totals)} of ${totals.shown}`,
+        formatAcceptedLength(totals)
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      row.title = model;
+      return row;
+    });
+    document.getElementById('acceptanceTable').replaceChildren(...rows);
+
+    const siteTotals = currentHostname && sumUsageTotals(stats, days, 'site')[currentHostname];
+    document.getElementById('siteAcceptance').textContent = siteTotals?.shown
+      ? `On ${currentHostname}: ${formatAcceptanceRate(siteTotals)} of ${siteTotals.shown} suggestions accepted`
+      : '';
+  } catch (error) {
+    console.error('Error loading acceptance statistics:', error);
+  }
+}
 
 /**
- * Load current settings from storage
+ * Show the provider list and the API key field for the active provider
  */
-async function loadSettings() {
+function renderProviders(settings, activeProvider) {
+  providerSelect.innerHTML = '';
+
+  const builtIn = document.createElement('option');
+  builtIn.value = OPENROUTER_PROVIDER_ID;
+  builtIn.textContent = PROVIDER_TYPES.openrouter.name;
+  providerSelect.appendChild(builtIn);
+
+  settings.providers.forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = `${provider.name} (${PROVIDER_TYPES[provider.type]?.name || provider.type})`;
+    providerSelect.appendChild(option);
+  });
+
+  providerSelect.value = activeProvider.id;
+  providerActions.hidden = activeProvider.id === OPENROUTER_PROVIDER_ID;
+  currentProviderDisplay.textContent = activeProvider.name;
+
+  const isOpenRouter = activeProvider.type === 'openrouter';
+  apiKeyLabel.textContent = isOpenRouter ? 'OpenRouter API Key' : `${activeProvider.name} API Key (optional)`;
+  apiKeyHelp.hidden = !isOpenRouter;
+}
+
+/**
+ * Switch the active provider and load its models
+ */
+async function handleProviderChange() {
   try {
-    const { apiKey, selectedModel } = await chrome.storage.sync.get(['apiKey', 'selectedModel']);
+    await chrome.storage.sync.set(getProviderSwitch(await getSettings(), providerSelect.value));
+    await loadProviderSettings();
+  } catch (error) {
+    console.error('Error switching provider:', error);
+    showStatus('Error switching provider: ' + error.message, 'error');
+  }
+}
 
-    // Display masked API key
-    if (apiKey) {
-      currentApiKeyDisplay.textContent = maskApiKey(apiKey);
-      apiKeyInput.placeholder = 'Enter new key to update';
-      updateConnectionStatus(true);
-    } else {
-      currentApiKeyDisplay.textContent = 'Not configured';
-      updateConnectionStatus(false);
+/**
+ * Add a self-hosted provider from the "Add a provider" form and make it active
+ */
+async function handleAddProvider() {
+  const nameInput = document.getElementById('newProviderName');
+  const typeSelect = document.getElementById('newProviderType');
+  const baseUrlInput = document.getElementById('newProviderBaseUrl');
+  const apiKeyField = document.getElementById('newProviderApiKey');
+
+  const type = typeSelect.value;
+  const baseUrl = (baseUrlInput.value.trim() || PROVIDER_TYPES[type].defaultBaseUrl).replace(/\/+$/, '');
+
+  let origin;
+  try {
+    const url = new URL(baseUrl);
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('Unsupported protocol');
     }
+    origin = url.origin;
+  } catch (error) {
+    showStatus('Enter a valid http(s) base URL', 'error');
+    return;
+  }
 
-    // Display selected model
-    if (selectedModel) {
-      currentModelDisplay.textContent = formatModelName(selectedModel);
-    } else {
-      currentModelDisplay.textContent = 'Not configured';
+  try {
+    // Ask for access to the server first, while this still counts as a user gesture
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      showStatus(`Permission to access ${origin} is needed to use this provider`, 'error');
+      return;
     }
+
+    const settings = await getSettings();
+    const provider = {
+      id: `provider_${Date.now()}`,
+      name: nameInput.value.trim() || PROVIDER_TYPES[type].name,
+      type: type,
+      baseUrl: baseUrl,
+      apiKey: apiKeyField.value.trim()
+    };
+
+    await chrome.storage.sync.set({
+      ...getProviderSwitch(settings, provider.id),
+      providers: [...settings.providers, provider]
+    });
+
+    nameInput.value = '';
+    baseUrlInput.value = '';
+    apiKeyField.value = '';
+
+    await loadProviderSettings();
+    showStatus(`Added ${provider.name}`, 'success');
   } catch (error) {
-    console.error('Error loading settings:', error);
-    showStatus('Error loading settings', 'error');
+    console.error('Error adding provider:', error);
+    showStatus('Error adding provider: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Remove the active user-added provider and fall back to OpenRouter
+ */
+async function handleRemoveProvider() {
+  try {
+    const settings = await getSettings();
+    const providers = settings.providers.filter(({ id }) => id !== settings.activeProviderId);
+    const updates = getProviderSwitch(settings, OPENROUTER_PROVIDER_ID);
+    delete updates.providerModels[settings.activeProviderId];
+
+    await chrome.storage.sync.set({ ...updates, providers });
+
+    await loadProviderSettings();
+  } catch (error) {
+    console.error('Error removing provider:', error);
+    showStatus('Error removing provider: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Refresh everything that depends on the active provider after switching to another
+ */
+async function loadProviderSettings() {
+  await loadSettings();
+  await loadBudgetStatus();
+  await loadFallbackModels();
+  await loadModels();
+  await validateSelectedModel();
+}
+
+/**
+ * Clear the selected model if the active provider doesn't offer it, so requests
+ * don't go out with a model id from another provider
+ */
+async function validateSelectedModel() {
+  if (!pendingSelectedModel || availableModels.length === 0 ||
+    availableModels.some(({ id }) => id === pendingSelectedModel)) {
+    return;
   }
+
+  showStatus(`${pendingSelectedModel} is not offered by this provider. Choose a model and save.`, 'error');
+  pendingSelectedModel = '';
+  await chrome.storage.sync.set({ selectedModel: '' });
+  currentModelDisplay.textContent = 'Not configured';
+  renderModelList();
 }
 
 /**
@@ -73,18 +1351,20 @@ async function loadSettings() {
  */
 async function loadModels() {
   try {
+    // Models of the previous provider must not be offered while this one's load
+    availableModels = [];
     loadingIndicator.classList.add('active');
-    modelSelect.disabled = true;
+    showModelListMessage('Loading models...');
 
     // Try to get cached models first
     let response = await chrome.runtime.sendMessage({ action: 'getCachedModels' });
 
     // If no cached models, fetch them
     if (!response.success || !response.models || response.models.length === 0) {
-      const { apiKey } = await chrome.storage.sync.get('apiKey');
+      const provider = getActiveProviderSettings(await getSettings());
 
-      if (!apiKey) {
-        modelSelect.innerHTML = '<option value="">Configure API key first</option>';
+      if (PROVIDER_TYPES[provider.type].requiresApiKey && !provider.apiKey) {
+        showModelListMessage('Configure API key first');
         loadingIndicator.classList.remove('active');
         return;
       }
@@ -94,14 +1374,14 @@ async function loadModels() {
     }
 
     if (response.success && response.models && response.models.length > 0) {
-      populateModelSelect(response.models);
+      await populateModelPicker(response.models);
     } else {
-      modelSelect.innerHTML = '<option value="">Failed to load models</option>';
-      showStatus('Failed to load models. Check your API key.', 'error');
+      showModelListMessage('Failed to load models');
+      showStatus('Failed to load models. Check your API key and provider URL.', 'error');
     }
   } catch (error) {
     console.error('Error loading models:', error);
-    modelSelect.innerHTML = '<option value="">Error loading models</option>';
+    showModelListMessage('Error loading models');
     showStatus('Error loading models', 'error');
   } finally {
     loadingIndicator.classList.remove('active');
@@ -109,94 +1389,298 @@ async function loadModels() {
 }
 
 /**
- * Populate model select dropdown
+ * Show the models in the picker, with filter options drawn from their metadata
  */
-async function populateModelSelect(models) {
-  modelSelect.innerHTML = '';
+async function populateModelPicker(models) {
+  const { selectedModel, favoriteModels: favorites } = await getSettings();
 
-  // Get currently selected model
-  const { selectedModel } = await chrome.storage.sync.get('selectedModel');
+  availableModels = models;
+  pendingSelectedModel = selectedModel;
+  favoriteModels = favorites;
 
-  // Sort models by pricing (prefer cheaper models first)
-  const sortedModels = models.sort((a, b) => {
-    const priceA = parseFloat(a.pricing?.prompt || '999');
-    const priceB = parseFloat(b.pricing?.prompt || '999');
-    return priceA - priceB;
-  });
+  const providers = [...new Set(models.map(getModelProvider).filter(Boolean))].sort();
+  setFilterOptions(modelProviderFilter, 'All providers', providers.map(provider => [provider, formatProviderName(provider)]));
+  modelProviderFilter.hidden = providers.length < 2;
+
+  const modalities = [...new Set(models.map(model => model.architecture?.modality).filter(Boolean))].sort();
+  setFilterOptions(modelModalityFilter, 'Any modality', modalities.map(modality => [modality, modality.replace('->', ' \u2192 ')]));
+  modelModalityFilter.hidden = modalities.length < 2;
+
+  modelSearchInput.disabled = false;
+  renderModelList();
+
+  populateFallbackModelSelect();
+  populateBenchmarkModelSelect();
+  populateProfileModelSelect(profiles.find(({ id }) => id === editingProfileId)?.selectedModel);
+}
+
+/**
+ * Replace a filter dropdown's options, keeping its value if still offered
+ */
+function setFilterOptions(select, anyLabel, entries) {
+  const value = select.value;
+  select.replaceChildren(createOption('', anyLabel), ...entries.map(([key, label]) => createOption(key, label)));
+  select.value = entries.some(([key]) => key === value) ? value : '';
+}
+
+/**
+ * Show a message in place of the model list, e.g. while loading
+ */
+function showModelListMessage(message) {
+  const item = document.createElement('div');
+  item.className = 'model-list-message';
+  item.textContent = message;
+  modelList.replaceChildren(item);
+  modelSearchInput.disabled = true;
+}
+
+/**
+ * Get the provider part of a model id ("google" for "google/gemini-flash-1.5"), if any
+ */
+function getModelProvider(model) {
+  return model.id.includes('/') ? model.id.split('/')[0] : '';
+}
+
+/**
+ * Get a model's price per million tokens, or null when the provider does not say
+ */
+function getPricePerMillion(model, kind) {
+  const price = parseFloat(model.pricing?.[kind]);
+  return Number.isFinite(price) ? price * 1000000 : null;
+}
+
+/**
+ * Format prompt and completion prices per million tokens, e.g. "$0.04 / $0.15"
+ */
+function formatModelPrice(model) {
+  const prompt = getPricePerMillion(model, 'prompt');
+  const completion = getPricePerMillion(model, 'completion');
+
+  if (prompt === null && completion === null) {
+    return '';
+  }
+  if (prompt === 0 && completion === 0) {
+    return 'Free';
+  }
+
+  const format = price => price === null ? '?' : `$${price < 0.1 ? price.toFixed(3) : price.toFixed(2)}`;
+  return `${format(prompt)} / ${format(completion)}`;
+}
+
+/**
+ * Format a context length, e.g. "128K context"
+ */
+function formatContextLength(tokens) {
+  if (!tokens) {
+    return '';
+  }
+  if (tokens >= 1000000) {
+    return `${Math.round(tokens / 100000) / 10}M context`;
+  }
+  return `${Math.round(tokens / 1000)}K context`;
+}
+
+/**
+ * Pick the recommended models from the list: the cheapest paid models with room for
+ * RECOMMENDED_MIN_CONTEXT tokens (free tiers are left out for their strict rate limits)
+ */
+function getRecommendedModels(models) {
+  return models
+    .filter(model => getPricePerMillion(model, 'prompt') > 0 && (model.context_length || 0) >= RECOMMENDED_MIN_CONTEXT)
+    .sort((a, b) =>
+      getPricePerMillion(a, 'prompt') + getPricePerMillion(a, 'completion') -
+      getPricePerMillion(b, 'prompt') - getPricePerMillion(b, 'completion')
+    )
+    .slice(0, RECOMMENDED_MODEL_COUNT);
+}
+
+/**
+ * Check a model against the search text and filters
+ */
+function matchesModelFilters(model) {
+  const search = modelSearchInput.value.trim().toLowerCase();
+  if (search && !model.id.toLowerCase().includes(search) && !(model.name || '').toLowerCase().includes(search)) {
+    return false;
+  }
+
+  if (modelProviderFilter.value && getModelProvider(model) !== modelProviderFilter.value) {
+    return false;
+  }
+
+  if (modelModalityFilter.value && model.architecture?.modality !== modelModalityFilter.value) {
+    return false;
+  }
 
-  // Group models by provider
-  const modelsByProvider = {};
-  sortedModels.forEach(model => {
-    const provider = model.id.split('/')[0];
-    if (!modelsByProvider[provider]) {
-      modelsByProvider[provider] = [];
+  if (modelPriceFilter.value) {
+    const price = getPricePerMillion(model, 'prompt');
+    if (price === null || price > Number(modelPriceFilter.value)) {
+      return false;
     }
-    modelsByProvider[provider].push(model);
-  });
+  }
+
+  if (modelContextFilter.value && (model.context_length || 0) < Number(modelContextFilter.value)) {
+    return false;
+  }
+
+  return true;
+}
 
-  // Add recommended models at the top
-  const recommendedGroup = document.createElement('optgroup');
-  recommendedGroup.label = 'Recommended (Fast & Affordable)';
+/**
+ * Render the filtered models: favorites, then recommended, then the rest by price
+ */
+function renderModelList() {
+  const sortedModels = [...availableModels].sort((a, b) =>
+    (getPricePerMillion(a, 'prompt') ?? Infinity) - (getPricePerMillion(b, 'prompt') ?? Infinity)
+  );
+  const recommended = getRecommendedModels(availableModels).map(({ id }) => id);
+  const matching = sortedModels.filter(matchesModelFilters);
 
-  const recommendedIds = [
-    'google/gemini-flash-1.5-8b',
-    'google/gemini-flash-1.5',
-    'anthropic/claude-3-haiku',
-    'openai/gpt-3.5-turbo'
+  const groups = [
+    { title: 'Favorites', models: matching.filter(({ id }) => favoriteModels.includes(id)) },
+    { title: 'Recommended (Fast & Affordable)', models: matching.filter(({ id }) => recommended.includes(id) && !favoriteModels.includes(id)) },
+    { title: 'All Models', models: matching.filter(({ id }) => !recommended.includes(id) && !favoriteModels.includes(id)) }
   ];
 
-  recommendedIds.forEach(id => {
-    const model = sortedModels.find(m => m.id === id);
-    if (model) {
-      const option = createModelOption(model, selectedModel);
-      recommendedGroup.appendChild(option);
+  const items = [];
+  groups.forEach(({ title, models }) => {
+    if (models.length === 0) {
+      return;
+    }
+
+    const heading = document.createElement('div');
+    heading.className = 'model-group';
+    heading.textContent = title;
+    items.push(heading);
+
+    models.slice(0, MAX_LISTED_MODELS).forEach(model => items.push(createModelRow(model)));
+
+    if (models.length > MAX_LISTED_MODELS) {
+      const more = document.createElement('div');
+      more.className = 'model-list-message';
+      more.textContent = `${models.length - MAX_LISTED_MODELS} more, refine the search to see them`;
+      items.push(more);
     }
   });
 
-  if (recommendedGroup.children.length > 0) {
-    modelSelect.appendChild(recommendedGroup);
+  if (items.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'model-list-message';
+    empty.textContent = 'No models match the filters';
+    items.push(empty);
   }
 
-  // Add all other models grouped by provider
-  Object.keys(modelsByProvider).sort().forEach(provider => {
-    const group = document.createElement('optgroup');
-    group.label = formatProviderName(provider);
+  modelList.replaceChildren(...items);
+}
 
-    modelsByProvider[provider].forEach(model => {
-      // Skip if already in recommended
-      if (!recommendedIds.includes(model.id)) {
-        const option = createModelOption(model, selectedModel);
-        group.appendChild(option);
-      }
-    });
+/**
+ * Create a selectable row for a model, with its metadata, prices and a favorite toggle
+ */
+function createModelRow(model) {
+  const row = document.createElement('div');
+  row.className = 'model-row';
+  row.classList.toggle('selected', model.id === pendingSelectedModel);
+  row.tabIndex = 0;
+  row.title = model.id;
+  row.setAttribute('role', 'option');
+  row.setAttribute('aria-selected', String(model.id === pendingSelectedModel));
+
+  const isFavorite = favoriteModels.includes(model.id);
+  const favoriteButton = document.createElement('button');
+  favoriteButton.type = 'button';
+  favoriteButton.className = 'favorite-button';
+  favoriteButton.textContent = isFavorite ? '\u2605' : '\u2606';
+  favoriteButton.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+  favoriteButton.addEventListener('click', (event) => {
+    event.stopPropagation();
+    handleToggleFavorite(model.id);
+  });
+
+  const info = document.createElement('div');
+  info.className = 'model-info';
+
+  const name = document.createElement('div');
+  name.className = 'model-name';
+  name.textContent = formatModelName(model.id);
+
+  const meta = document.createElement('div');
+  meta.className = 'model-meta';
+  meta.textContent = [
+    formatProviderName(getModelProvider(model)),
+    formatContextLength(model.context_length),
+    model.architecture?.modality
+  ].filter(Boolean).join(' \u00b7 ');
+
+  info.append(name, meta);
 
-    if (group.children.length > 0) {
-      modelSelect.appendChild(group);
+  const price = document.createElement('div');
+  price.className = 'model-price';
+  price.textContent = formatModelPrice(model);
+
+  row.append(favoriteButton, info, price);
+
+  const select = () => {
+    pendingSelectedModel = model.id;
+    renderModelList();
+  };
+  row.addEventListener('click', select);
+  row.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      select();
     }
   });
 
-  modelSelect.disabled = false;
+  return row;
 }
 
 /**
- * Create option element for a model
+ * Add a model to, or remove it from, the favorites (saved right away)
  */
-function createModelOption(model, selectedModel) {
-  const option = document.createElement('option');
-  option.value = model.id;
-  option.textContent = formatModelName(model.id);
+async function handleToggleFavorite(modelId) {
+  favoriteModels = favoriteModels.includes(modelId)
+    ? favoriteModels.filter(id => id !== modelId)
+    : [...favoriteModels, modelId];
 
-  // Add pricing info if available
-  if (model.pricing && model.pricing.prompt) {
-    const pricePerMillion = (parseFloat(model.pricing.prompt) * 1000000).toFixed(2);
-    option.textContent += ` ($${pricePerMillion}/M tokens)`;
-  }
+  renderModelList();
 
-  if (model.id === selectedModel) {
-    option.selected = true;
+  try {
+    await chrome.storage.sync.set({ favoriteModels });
+  } catch (error) {
+    console.error('Error saving favorite models:', error);
+    showStatus('Error saving favorite models', 'error');
   }
+}
 
-  return option;
+/**
+ * Create dropdown options for the loaded models: favorites first, then by provider
+ */
+function createModelOptions() {
+  const createModelOption = model => {
+    const option = createOption(model.id, formatModelName(model.id));
+    const price = formatModelPrice(model);
+    if (price) {
+      option.textContent += ` (${price})`;
+    }
+    return option;
+  };
+
+  const groups = {};
+  availableModels.forEach(model => {
+    const group = favoriteModels.includes(model.id)
+      ? 'Favorites'
+      : formatProviderName(getModelProvider(model)) || 'Models';
+    groups[group] = groups[group] || [];
+    groups[group].push(model);
+  });
+
+  return Object.keys(groups)
+    .sort((a, b) => (b === 'Favorites') - (a === 'Favorites') || a.localeCompare(b))
+    .map(label => {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = label;
+      groups[label].forEach(model => optgroup.appendChild(createModelOption(model)));
+      return optgroup;
+    });
 }
 
 /**
@@ -236,18 +1720,94 @@ function maskApiKey(key) {
 }
 
 /**
- * Update connection status indicator
+ * Test the connection to the active provider (with apiKey when given, else the saved key)
+ * Resolves to the test result, or null if a newer test started in the meantime
  */
-function updateConnectionStatus(connected) {
-  if (connected) {
-    statusIndicator.classList.add('connected');
-    statusIndicator.classList.remove('disconnected');
-    connectionText.textContent = 'Status: Connected';
-  } else {
-    statusIndicator.classList.remove('connected');
-    statusIndicator.classList.add('disconnected');
-    connectionText.textContent = 'Status: Not configured';
+async function testConnection(apiKey) {
+  const testId = ++connectionTestId;
+
+  let result;
+  try {
+    result = await chrome.runtime.sendMessage({ action: 'testConnection', apiKey });
+  } catch (error) {
+    console.error('Error testing connection:', error);
+    result = { status: 'error', message: error.message };
+  }
+
+  return testId === connectionTestId ? result : null;
+}
+
+/**
+ * Test the saved key and show the result in the status indicator
+ */
+async function checkConnection() {
+  updateConnectionStatus({ status: 'checking' });
+
+  const result = await testConnection();
+  if (result) {
+    updateConnectionStatus(result);
+  }
+}
+
+/**
+ * Test the key in the API key field (or the saved key when it is empty) and report the result
+ */
+async function handleTestConnection() {
+  const button = document.getElementById('testConnectionButton');
+  button.disabled = true;
+  updateConnectionStatus({ status: 'checking' });
+
+  try {
+    const result = await testConnection(apiKeyInput.value.trim() || undefined);
+    if (!result) {
+      return;
+    }
+
+    updateConnectionStatus(result);
+    showStatus(result.message || CONNECTION_STATUSES[result.status].text, result.status === 'connected' ? 'success' : 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * Update connection status indicator from a connection test result
+ */
+function updateConnectionStatus(result) {
+  connectionResult = result;
+  renderConnectionStatus();
+
+  const details = [];
+  if (result.credits) {
+    details.push(`$${result.credits.remaining.toFixed(2)} left`);
+  }
+  if (result.freeTier) {
+    details.push('free tier');
+  }
+  if (result.rateLimit) {
+    details.push(`${result.rateLimit.requests} requests / ${result.rateLimit.interval}`);
+  }
+
+  currentCreditsDisplay.textContent = details.join(', ');
+  currentCreditsDisplay.parentElement.hidden = details.length === 0;
+}
+
+/**
+ * Show the connection status, or that requests are paused while a spend budget is used up
+ */
+function renderConnectionStatus() {
+  const paused = pausedBudgetPeriod && connectionResult.status === 'connected';
+  const { text, indicator } = paused
+    ? { text: `Paused, ${pausedBudgetPeriod} budget used up`, indicator: 'disconnected' }
+    : CONNECTION_STATUSES[connectionResult.status] || CONNECTION_STATUSES.error;
+
+  statusIndicator.classList.remove('connected', 'disconnected', 'warning');
+  if (indicator) {
+    statusIndicator.classList.add(indicator);
   }
+
+  connectionText.textContent = `Status: ${text}`;
+  connectionText.title = paused ? '' : connectionResult.message || '';
 }
 
 /**
@@ -267,11 +1827,34 @@ async function handleSave(event) {
   event.preventDefault();
 
   const apiKey = apiKeyInput.value.trim();
-  const selectedModel = modelSelect.value;
+  const selectedModel = pendingSelectedModel;
 
   // Validation
-  if (!apiKey && !selectedModel) {
-    showStatus('Please enter an API key', 'error');
+  const keybindingErrors = validateKeybindings(pendingKeybindings);
+  if (keybindingErrors.length > 0) {
+    showStatus(keybindingErrors.join('. '), 'error');
+    return;
+  }
+
+  const sitePresets = parseSitePresets(sitePresetsInput.value);
+  if (sitePresets.errors.length > 0) {
+    showStatus(sitePresets.errors.join('. '), 'error');
+    return;
+  }
+
+  const profileRules = parseProfileRules(document.getElementById('profileRules').value);
+  if (profileRules.errors.length > 0) {
+    showStatus(profileRules.errors.join('. '), 'error');
+    return;
+  }
+
+  const redactionPatterns = document.getElementById('redactionPatterns').value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+  const invalidPatterns = redactionPatterns.filter(pattern => !compileRedactionPattern(pattern));
+  if (invalidPatterns.length > 0) {
+    showStatus(`Invalid redaction pattern: ${invalidPatterns.join(', ')}`, 'error');
     return;
   }
 
@@ -280,18 +1863,44 @@ async function handleSave(event) {
     saveButton.textContent = 'Saving...';
 
     const updates = {};
+    const settings = await getSettings();
+    const provider = getActiveProviderSettings(settings);
 
-    // Save API key if provided
+    // Only providers that need a key (OpenRouter) refuse to save without one
+    if (!apiKey && !provider.apiKey && PROVIDER_TYPES[provider.type].requiresApiKey) {
+      showStatus(`Please enter your ${provider.name} API key`, 'error');
+      return;
+    }
+
+    // Check a new key against the provider before saving it. An unreachable provider
+    // doesn't prove the key wrong, so it is saved with a warning instead.
+    let keyWarning = null;
     if (apiKey) {
-      // Basic validation for OpenRouter API key format
-      if (!apiKey.startsWith('sk-or-')) {
-        showStatus('Invalid API key format. Should start with "sk-or-"', 'error');
+      saveButton.textContent = 'Checking key...';
+      const result = await testConnection(apiKey);
+
+      if (result?.status === 'invalidKey') {
+        updateConnectionStatus(result);
+        showStatus('The provider rejected this API key', 'error');
         saveButton.disabled = false;
         saveButton.textContent = 'Save Settings';
         return;
       }
 
+      if (result && result.status !== 'connected') {
+        keyWarning = result.message || CONNECTION_STATUSES[result.status].text;
+      }
+      saveButton.textContent = 'Saving...';
+    }
+
+    // Save API key if provided
+    if (apiKey && provider.type === 'openrouter') {
       updates.apiKey = apiKey;
+    } else if (apiKey) {
+      // User-added providers keep their key alongside their base URL
+      updates.providers = settings.providers.map(entry =>
+        entry.id === provider.id ? { ...entry, apiKey } : entry
+      );
     }
 
     // Save selected model
@@ -299,6 +1908,42 @@ async function handleSave(event) {
       updates.selectedModel = selectedModel;
     }
 
+    // Save fallback chain
+    updates.fallbackModels = pendingFallbackModels;
+
+    // Save profile rules (profiles themselves are saved from the profile editor)
+    updates.profileRules = profileRules.rules;
+
+    // Save trigger mode
+    updates.triggerMode = triggerModeSelect.value;
+
+    // Save completion styles
+    updates.promptPreset = promptPresetSelect.value;
+    updates.customPrompts = getCustomPrompts();
+    updates.sitePresets = sitePresets.assignments;
+
+    // Save completion length, sampling and cache settings, clamped to their bounds
+    updates.lengthMode = lengthModeSelect.value;
+    updates.richContext = richContextToggle.checked;
+    updates.budgetUnit = budgetUnitSelect.value;
+    Object.keys(NUMERIC_SETTING_BOUNDS).forEach(name => {
+      updates[name] = clampSetting(name, numericInputs[name].value);
+    });
+
+    // Save site rules
+    updates.siteRuleMode = siteRuleModeSelect.value;
+    updates.inputTypes = Array.from(document.querySelectorAll('#inputTypeList input:checked'), input => input.value);
+    updates.sitePatterns = parseSitePatterns(sitePatternsInput.value);
+
+    // Save privacy settings
+    updates.redactSensitiveData = document.getElementById('redactSensitiveData').checked;
+    updates.redactionPatterns = [...new Set(redactionPatterns)];
+    updates.neverSendSites = parseSitePatterns(document.getElementById('neverSendSites').value);
+    updates.auditLog = document.getElementById('auditLog').checked;
+
+    // Save keyboard shortcuts
+    updates.keybindings = getKeybindingOverrides(pendingKeybindings);
+
     // Save to storage
     await chrome.storage.sync.set(updates);
 
@@ -309,10 +1954,22 @@ async function handleSave(event) {
 
     // Reload settings display
     await loadSettings();
+    await loadBudgetStatus();
+    await loadSiteSettings();
+    await loadKeybindings();
+    await loadPromptSettings();
+    await loadGenerationSettings();
+    await loadFallbackModels();
+    await loadProfiles();
 
     // Clear input
     apiKeyInput.value = '';
 
+    if (keyWarning) {
+      showStatus(`Settings saved, but the key could not be confirmed: ${keyWarning}`, 'error');
+      return;
+    }
+
     showStatus('Settings saved successfully!', 'success');
 
     // Hide success message after 3 seconds
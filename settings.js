@@ -0,0 +1,685 @@
+// Shared settings defaults and helpers for the background, content and popup scripts
+
+/**
+ * Default values for settings kept in chrome.storage.sync
+ */
+const DEFAULT_SETTINGS = {
+  apiKey: '', // OpenRouter API key
+  selectedModel: '',
+  fallbackModels: [], // tried in order when the selected model fails
+  favoriteModels: [], // starred in the model picker
+  activeProviderId: 'openrouter',
+  providers: [], // user-added providers: { id, name, type, baseUrl, apiKey }
+  providerModels: {}, // model choices kept for inactive providers, by provider id: { selectedModel, fallbackModels }
+  enabled: true, // global on/off switch
+  inputTypes: ['text', 'search'], // <input> types autocomplete runs in (see INPUT_TYPE_OPTIONS)
+  siteRuleMode: 'blocklist', // 'blocklist' runs everywhere except sitePatterns, 'allowlist' only there
+  sitePatterns: [],
+  neverSendSites: [], // site patterns whose text is never sent, whatever the other rules say
+  redactSensitiveData: true, // mask emails, phone and card numbers and API keys before sending
+  redactionPatterns: [], // extra regular expressions to mask, as source strings
+  auditLog: false, // keep a local log of the text sent with each request (AUDIT_LOG_KEY)
+  auditLogRetentionDays: 7,
+  keybindings: {}, // overrides of DEFAULT_KEYBINDINGS, by action
+  triggerMode: 'automatic', // 'automatic', 'manual' or 'wordBoundary'
+  promptPreset: 'terse',
+  customPrompts: {}, // edited prompt text, by preset id
+  sitePresets: [], // per-site preset assignments: { pattern, preset }
+  lengthMode: 'words', // 'words' (up to wordLimit words) or 'sentence' (up to the end of the sentence)
+  wordLimit: 3,
+  maxTokens: 10,
+  temperature: 0.3,
+  candidateCount: 3, // suggestions to cycle through; alternatives are only requested when the user cycles, and 1 turns cycling off
+  maxContextLength: 100, // characters before the cursor sent as context
+  richContext: false, // also send the page title, nearby headings and other field values
+  cacheTtlMinutes: 5, // 0 turns the completion cache off
+  cacheMaxEntries: 100,
+  budgetUnit: 'dollars', // 'dollars' or 'tokens'
+  dailyBudget: 0, // 0 means no limit
+  monthlyBudget: 0,
+  profiles: [], // named bundles of PROFILE_FIELDS: { id, name, ...overrides }
+  profileRules: [] // URL pattern to profile assignments, first match wins: { pattern, profile }
+};
+
+/**
+ * Settings a profile can override; fields left unset in a profile keep the global value
+ */
+const PROFILE_FIELDS = ['selectedModel', 'promptPreset', 'lengthMode', 'wordLimit', 'maxTokens', 'temperature', 'triggerMode'];
+
+/**
+ * Allowed ranges for numeric settings
+ */
+const NUMERIC_SETTING_BOUNDS = {
+  wordLimit: { min: 1, max: 50, integer: true },
+  maxTokens: { min: 1, max: 200, integer: true },
+  temperature: { min: 0, max: 2, integer: false },
+  candidateCount: { min: 1, max: 5, integer: true },
+  maxContextLength: { min: 20, max: 2000, integer: true },
+  cacheTtlMinutes: { min: 0, max: 1440, integer: true },
+  cacheMaxEntries: { min: 10, max: 1000, integer: true },
+  dailyBudget: { min: 0, max: 1000000000, integer: false },
+  monthlyBudget: { min: 0, max: 1000000000, integer: false },
+  auditLogRetentionDays: { min: 1, max: 90, integer: true }
+};
+
+// Sentence mode needs room for more than a few words
+const SENTENCE_MIN_TOKENS = 40;
+
+// Suggestions in code editors are cut at line ends rather than words, keeping their whitespace
+const CODE_LINE_LIMIT = 3;
+
+/**
+ * Built-in completion styles
+ * Prompts may use {site}, {fieldLabel} and {language}, which are filled in per request.
+ * They leave the length out: the completion length setting adds it to every prompt.
+ */
+const PROMPT_PRESETS = {
+  terse: {
+    name: 'Terse',
+    prompt: 'You are an autocomplete assistant. Complete the user\'s text with the most likely continuation. Return ONLY the completion text, no explanations or punctuation unless necessary.'
+  },
+  sentence: {
+    name: 'Full sentence',
+    prompt: 'You are an autocomplete assistant. Finish the user\'s current sentence in {language}, stopping at the end of the sentence. Return ONLY the completion text, no explanations.'
+  },
+  formalEmail: {
+    name: 'Formal email',
+    prompt: 'You are an autocomplete assistant helping write a professional email on {site}. Continue the user\'s text in the "{fieldLabel}" field in a formal, polite tone, in {language}. Return ONLY the completion text, no explanations.'
+  },
+  casualChat: {
+    name: 'Casual chat',
+    prompt: 'You are an autocomplete assistant for a chat message on {site}. Continue the user\'s text in a casual, friendly tone, in {language}. Return ONLY the completion text, no explanations.'
+  },
+  codeComment: {
+    name: 'Code comment',
+    prompt: 'You are an autocomplete assistant for code comments and technical notes. Continue the user\'s text concisely and precisely. Return ONLY the completion text, no code fences or explanations.'
+  },
+  code: {
+    name: 'Code',
+    prompt: 'You are a code completion assistant. Continue the user\'s code (language: {language}) at the cursor, following its style and indentation. Return ONLY the code to insert, no code fences or explanations.'
+  }
+};
+
+// Input types that can be chosen for autocomplete (types for secrets, numbers and
+// contact details are never eligible, see SENSITIVE_INPUT_TYPES in content.js)
+const INPUT_TYPE_OPTIONS = {
+  text: 'Text fields',
+  search: 'Search boxes',
+  url: 'URL fields'
+};
+
+/**
+ * Provider types that completions can be requested from
+ * OpenRouter is built in; the others are added by the user with their own base URL
+ */
+const PROVIDER_TYPES = {
+  openrouter: {
+    name: 'OpenRouter',
+    requiresApiKey: true,
+    defaultBaseUrl: 'https://openrouter.ai/api/v1'
+  },
+  openai: {
+    name: 'OpenAI-compatible',
+    requiresApiKey: false,
+    defaultBaseUrl: 'http://localhost:8000/v1'
+  },
+  ollama: {
+    name: 'Ollama',
+    requiresApiKey: false,
+    defaultBaseUrl: 'http://localhost:11434'
+  }
+};
+
+const OPENROUTER_PROVIDER_ID = 'openrouter';
+
+/**
+ * Get the settings that make another provider active
+ * Model ids differ between providers, so the selected and fallback models are kept for
+ * the provider being left and those last used with the new one are restored.
+ */
+function getProviderSwitch(settings, providerId) {
+  const previousId = getActiveProviderSettings(settings).id;
+  const providerModels = {
+    ...settings.providerModels,
+    [previousId]: { selectedModel: settings.selectedModel, fallbackModels: settings.fallbackModels }
+  };
+  const restored = providerModels[providerId] || {};
+  delete providerModels[providerId];
+
+  return {
+    activeProviderId: providerId,
+    providerModels: providerModels,
+    selectedModel: restored.selectedModel || '',
+    fallbackModels: restored.fallbackModels || []
+  };
+}
+
+// Usage statistics in chrome.storage.local, aggregated as { [day]: { [site]: { [model]: totals } } }
+const USAGE_STATS_KEY = 'usageStats';
+
+// Audit log of outbound requests in chrome.storage.local, one entry per request, oldest first:
+// [{ time, origin, model, outcome, samples, payload, completion, error }], where payload is
+// the messages or prompt as sent (the text, field label, language and page context in it)
+const AUDIT_LOG_KEY = 'auditLog';
+
+// Why the audit log last failed to save, if it did: { time, message }
+const AUDIT_LOG_ERROR_KEY = 'auditLogError';
+
+// Share of a budget after which the badge warns
+const BUDGET_WARNING_RATIO = 0.8;
+
+/**
+ * Default shortcuts for in-page actions
+ * Shortcuts are modifiers (Ctrl, Alt, Shift, Meta, in that order) plus a KeyboardEvent.code
+ */
+const DEFAULT_KEYBINDINGS = {
+  accept: 'Tab',
+  acceptWord: 'Ctrl+ArrowRight',
+  acceptCharacter: 'Ctrl+Shift+ArrowRight',
+  dismiss: 'Escape',
+  nextSuggestion: 'Alt+BracketRight',
+  previousSuggestion: 'Alt+BracketLeft',
+  trigger: 'Alt+Backslash'
+};
+
+/**
+ * Display names for keybinding actions, in settings order
+ */
+const KEYBINDING_LABELS = {
+  accept: 'Accept suggestion',
+  acceptWord: 'Accept next word',
+  acceptCharacter: 'Accept next character',
+  dismiss: 'Dismiss suggestion',
+  nextSuggestion: 'Next suggestion',
+  previousSuggestion: 'Previous suggestion',
+  trigger: 'Suggest now'
+};
+
+const MODIFIER_CODES = [
+  'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight',
+  'ShiftLeft', 'ShiftRight', 'MetaLeft', 'MetaRight'
+];
+
+// Keys that type text, and so need Ctrl, Alt or Meta to be used as a shortcut
+const TYPING_KEY_PATTERN = /^(Key[A-Z]|Digit\d|Numpad\w+|Space|Backspace|Delete|Minus|Equal|BracketLeft|BracketRight|Backslash|Semicolon|Quote|Backquote|Comma|Period|Slash|IntlBackslash)$/;
+
+const KEY_DISPLAY_NAMES = {
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  Escape: 'Esc',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: "'",
+  Backquote: '`',
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Minus: '-',
+  Equal: '='
+};
+
+/**
+ * Load settings from sync storage, filling in defaults for anything unset
+ */
+async function getSettings() {
+  return chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+/**
+ * Apply the profile whose rule matches a page URL on top of the global settings
+ * The result carries the profile id as activeProfile; without a matching profile
+ * the settings are returned unchanged.
+ */
+function resolveSettings(settings, url) {
+  const rule = settings.profileRules.find(({ pattern }) => matchesUrlPattern(pattern, url));
+  const profile = rule && settings.profiles.find(({ id }) => id === rule.profile);
+
+  if (!profile) {
+    return settings;
+  }
+
+  const resolved = { ...settings, activeProfile: profile.id };
+  PROFILE_FIELDS.forEach(field => {
+    if (profile[field] !== undefined && profile[field] !== null && profile[field] !== '') {
+      resolved[field] = profile[field];
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Get the provider completions are requested from
+ * The built-in OpenRouter provider keeps its key in the top-level apiKey setting
+ */
+function getActiveProviderSettings(settings) {
+  const provider = settings.providers.find(({ id }) => id === settings.activeProviderId);
+  if (provider) {
+    return provider;
+  }
+
+  return {
+    id: OPENROUTER_PROVIDER_ID,
+    name: PROVIDER_TYPES.openrouter.name,
+    type: 'openrouter',
+    baseUrl: PROVIDER_TYPES.openrouter.defaultBaseUrl,
+    apiKey: settings.apiKey
+  };
+}
+
+/**
+ * Get the completion style for a site, from the most specific source that sets one:
+ * the style of the matching profile (settings resolved by resolveSettings), else a
+ * per-site assignment, else the code style in code editors, else the global preset
+ */
+function getPromptPresetId(settings, hostname, codeEditor = false) {
+  const profile = settings.activeProfile && settings.profiles.find(({ id }) => id === settings.activeProfile);
+  const assignment = settings.sitePresets.find(({ pattern }) => matchesSitePattern(pattern, hostname));
+
+  let presetId = settings.promptPreset;
+  if (profile?.promptPreset) {
+    presetId = profile.promptPreset;
+  } else if (assignment) {
+    presetId = assignment.preset;
+  } else if (codeEditor) {
+    presetId = 'code';
+  }
+
+  return PROMPT_PRESETS[presetId] ? presetId : DEFAULT_SETTINGS.promptPreset;
+}
+
+/**
+ * Get the prompt template for a preset, including the user's edits
+ */
+function getPromptTemplate(settings, presetId) {
+  return settings.customPrompts[presetId] || PROMPT_PRESETS[presetId].prompt;
+}
+
+/**
+ * Clamp a numeric setting to its bounds, using the default if it is not a number
+ */
+function clampSetting(name, value) {
+  const { min, max, integer } = NUMERIC_SETTING_BOUNDS[name];
+  const number = Number(value);
+
+  if (value === '' || value === null || !Number.isFinite(number)) {
+    return DEFAULT_SETTINGS[name];
+  }
+
+  const clamped = Math.min(max, Math.max(min, number));
+  return integer ? Math.round(clamped) : clamped;
+}
+
+/**
+ * Get the length and sampling settings shared by the content script and background worker
+ */
+function getGenerationSettings(settings) {
+  const lengthMode = settings.lengthMode === 'sentence' ? 'sentence' : 'words';
+  const maxTokens = clampSetting('maxTokens', settings.maxTokens);
+
+  return {
+    lengthMode: lengthMode,
+    wordLimit: clampSetting('wordLimit', settings.wordLimit),
+    maxTokens: lengthMode === 'sentence' ? Math.max(maxTokens, SENTENCE_MIN_TOKENS) : maxTokens,
+    temperature: clampSetting('temperature', settings.temperature),
+    maxContextLength: clampSetting('maxContextLength', settings.maxContextLength)
+  };
+}
+
+/**
+ * Create an empty set of usage totals (see USAGE_STATS_KEY)
+ * requests counts cache hits and every request sent to the provider, including cancelled
+ * and failed ones; latencyMs is summed over the requests the provider answered.
+ */
+function createUsageTotals() {
+  return {
+    requests: 0,
+    cacheHits: 0,
+    cancelled: 0,
+    failed: 0,
+    unpriced: 0, // requests to models with no known price, left out of cost
+    promptTokens: 0,
+    completionTokens: 0,
+    cost: 0,
+    latencyMs: 0,
+    shown: 0,
+    accepted: 0,
+    acceptedCharacters: 0,
+    dismissed: 0,
+    ignored: 0
+  };
+}
+
+/**
+ * Get the day keys for the last count days, most recent first
+ */
+function getRecentDayKeys(count) {
+  const days = [];
+  const date = new Date();
+
+  for (let i = 0; i < count; i++) {
+    days.push(getLocalDayKey(date));
+    date.setDate(date.getDate() - 1);
+  }
+
+  return days;
+}
+
+/**
+ * Add one set of usage totals to another
+ */
+function addUsageTotals(target, totals) {
+  Object.keys(target).forEach(field => {
+    target[field] += totals[field] || 0;
+  });
+  return target;
+}
+
+/**
+ * Sum the usage totals recorded on the given days, optionally grouped by site or model
+ * Returns a single set of totals, or a map of them by group when groupBy is given.
+ */
+function sumUsageTotals(stats, days, groupBy) {
+  const overall = createUsageTotals();
+  const groups = {};
+
+  days.forEach(day => {
+    const sites = (stats || {})[day] || {};
+    Object.keys(sites).forEach(site => {
+      Object.keys(sites[site]).forEach(model => {
+        const totals = sites[site][model];
+        addUsageTotals(overall, totals);
+
+        if (groupBy) {
+          const group = groupBy === 'site' ? site : model;
+          groups[group] = addUsageTotals(groups[group] || createUsageTotals(), totals);
+        }
+      });
+    });
+  });
+
+  return groupBy ? groups : overall;
+}
+
+/**
+ * Format the share of shown suggestions that were accepted, e.g. "42%"
+ */
+function formatAcceptanceRate(totals) {
+  return totals.shown > 0 ? `${Math.round(totals.accepted / totals.shown * 100)}%` : '-';
+}
+
+/**
+ * Format the average number of characters taken from accepted suggestions
+ */
+function formatAcceptedLength(totals) {
+  return totals.accepted > 0 ? `${Math.round(totals.acceptedCharacters / totals.accepted)} chars` : '-';
+}
+
+/**
+ * Get the local calendar day of a date as YYYY-MM-DD, the key used for usage statistics
+ */
+function getLocalDayKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Work out how much of the daily and monthly budgets has been spent, from the usage statistics
+ * Spend is counted in dollars or tokens depending on budgetUnit; a limit of 0 means no budget.
+ * state is 'none' when no budget is set, else 'ok', 'warning' or 'exhausted'.
+ */
+function getBudgetStatus(settings, stats, now = new Date()) {
+  const unit = settings.budgetUnit === 'tokens' ? 'tokens' : 'dollars';
+  const today = getLocalDayKey(now);
+  const month = today.slice(0, 7);
+
+  let dailySpent = 0;
+  let monthlySpent = 0;
+  let unpriced = 0;
+  Object.keys(stats || {})
+    .filter(day => day.startsWith(month))
+    .forEach(day => {
+      Object.values(stats[day]).forEach(models => {
+        Object.values(models).forEach(totals => {
+          const spent = unit === 'tokens'
+            ? (totals.promptTokens || 0) + (totals.completionTokens || 0)
+            : totals.cost || 0;
+          monthlySpent += spent;
+          unpriced += unit === 'dollars' ? totals.unpriced || 0 : 0;
+          if (day === today) {
+            dailySpent += spent;
+          }
+        });
+      });
+    });
+
+  const daily = { period: 'daily', spent: dailySpent, limit: clampSetting('dailyBudget', settings.dailyBudget) };
+  const monthly = { period: 'monthly', spent: monthlySpent, limit: clampSetting('monthlyBudget', settings.monthlyBudget) };
+  const budgets = [daily, monthly].filter(({ limit }) => limit > 0);
+  const ratio = Math.max(0, ...budgets.map(({ spent, limit }) => spent / limit));
+
+  let state = 'none';
+  if (budgets.length > 0) {
+    state = ratio >= 1 ? 'exhausted' : ratio >= BUDGET_WARNING_RATIO ? 'warning' : 'ok';
+  }
+
+  return {
+    unit,
+    state,
+    ratio,
+    daily,
+    monthly,
+    unpriced,
+    exhaustedPeriod: budgets.find(({ spent, limit }) => spent >= limit)?.period || null
+  };
+}
+
+/**
+ * Format a budget amount in its unit, e.g. "$1.25" or "12,000 tokens"
+ */
+function formatBudgetAmount(amount, unit) {
+  if (unit === 'tokens') {
+    return `${Math.round(amount).toLocaleString()} tokens`;
+  }
+  return `$${amount.toFixed(2)}`;
+}
+
+/**
+ * Reduce a site pattern to a lowercase hostname pattern
+ * Accepts full URLs ("https://example.com/path") as well as bare hostnames. A port is
+ * dropped, as patterns are matched against hostnames ("localhost:3000" is "localhost").
+ */
+function normalizeSitePattern(pattern) {
+  return (pattern || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split('/')[0]
+    .replace(/:\d*$/, '');
+}
+
+/**
+ * Reduce a URL pattern to a lowercase hostname pattern with an optional path
+ * e.g. "https://docs.example.com/Internal/" becomes "docs.example.com/internal"
+ */
+function normalizeUrlPattern(pattern) {
+  return (pattern || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Convert a pattern where "*" matches any run of characters to a regular expression source
+ */
+function globToRegExpSource(glob) {
+  return glob
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+}
+
+/**
+ * Check if a hostname matches a site pattern
+ * "*" matches any run of characters; "*.example.com" also matches example.com itself
+ */
+function matchesSitePattern(pattern, hostname) {
+  const normalized = normalizeSitePattern(pattern);
+  const host = (hostname || '').toLowerCase();
+
+  if (!normalized || !host) {
+    return false;
+  }
+
+  if (normalized.startsWith('*.') && host === normalized.slice(2)) {
+    return true;
+  }
+
+  return new RegExp(`^${globToRegExpSource(normalized)}$`).test(host);
+}
+
+/**
+ * Check if a page URL matches a URL pattern: a site pattern, optionally followed by a path
+ * A path matches itself and everything below it, e.g. "example.com/docs" matches /docs/setup.
+ */
+function matchesUrlPattern(pattern, url) {
+  const normalized = normalizeUrlPattern(pattern);
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const slash = normalized.indexOf('/');
+  if (slash === -1) {
+    return matchesSitePattern(normalized, parsed.hostname);
+  }
+
+  const path = normalized.slice(slash);
+  return matchesSitePattern(normalized.slice(0, slash), parsed.hostname) &&
+    new RegExp(`^${globToRegExpSource(path)}(/.*)?$`).test(parsed.pathname.toLowerCase());
+}
+
+/**
+ * Check if autocomplete should run on a hostname under the given settings
+ */
+function isSiteEnabled(settings, hostname) {
+  if (!settings.enabled) {
+    return false;
+  }
+
+  const isListed = settings.sitePatterns.some(pattern => matchesSitePattern(pattern, hostname));
+
+  return settings.siteRuleMode === 'allowlist' ? isListed : !isListed;
+}
+
+/**
+ * Check if a hostname is on the never-send list, where no text may leave the page
+ */
+function isNeverSendSite(settings, hostname) {
+  return settings.neverSendSites.some(pattern => matchesSitePattern(pattern, hostname));
+}
+
+/**
+ * Compile a custom redaction pattern (matched globally and case-insensitively), or return
+ * null if it is not a valid regular expression or would match empty text everywhere
+ */
+function compileRedactionPattern(source) {
+  try {
+    return new RegExp(source, 'i').test('') ? null : new RegExp(source, 'gi');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the effective keybindings, with user overrides applied to the defaults
+ */
+function getKeybindings(settings) {
+  return { ...DEFAULT_KEYBINDINGS, ...settings.keybindings };
+}
+
+/**
+ * Convert a keydown event to a shortcut string, or null for a lone modifier key
+ */
+function eventToShortcut(event) {
+  if (!event.code || MODIFIER_CODES.includes(event.code)) {
+    return null;
+  }
+
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+  parts.push(event.code);
+
+  return parts.join('+');
+}
+
+/**
+ * Find the action bound to a shortcut, if any
+ */
+function findKeybindingAction(keybindings, shortcut) {
+  return Object.keys(keybindings).find(action => keybindings[action] === shortcut) || null;
+}
+
+/**
+ * Format a shortcut string for display, e.g. "Alt+BracketRight" as "Alt+]"
+ */
+function formatShortcut(shortcut) {
+  if (!shortcut) {
+    return 'Not set';
+  }
+
+  return shortcut
+    .split('+')
+    .map(part => {
+      if (part === 'Meta') return navigator.platform.startsWith('Mac') ? 'Cmd' : 'Meta';
+      if (KEY_DISPLAY_NAMES[part]) return KEY_DISPLAY_NAMES[part];
+      return part.replace(/^Key/, '').replace(/^Digit/, '');
+    })
+    .join('+');
+}
+
+/**
+ * Validate a set of keybindings
+ * Returns a list of error messages, empty when the bindings are usable
+ */
+function validateKeybindings(keybindings) {
+  const errors = [];
+  const actionsByShortcut = {};
+
+  Object.keys(KEYBINDING_LABELS).forEach(action => {
+    const shortcut = keybindings[action];
+    const label = KEYBINDING_LABELS[action];
+
+    if (!shortcut) {
+      errors.push(`${label} has no shortcut`);
+      return;
+    }
+
+    const parts = shortcut.split('+');
+    const code = parts[parts.length - 1];
+    const hasCommandModifier = parts.some(part => ['Ctrl', 'Alt', 'Meta'].includes(part));
+    if (!hasCommandModifier && TYPING_KEY_PATTERN.test(code)) {
+      errors.push(`${label}: ${formatShortcut(shortcut)} would block typing; add Ctrl, Alt or ${formatShortcut('Meta')}`);
+    }
+
+    if (actionsByShortcut[shortcut]) {
+      errors.push(`${formatShortcut(shortcut)} is used by both ${actionsByShortcut[shortcut]} and ${label}`);
+    } else {
+      actionsByShortcut[shortcut] = label;
+    }
+  });
+
+  return errors;
+}
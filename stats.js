@@ -0,0 +1,201 @@
+// Usage statistics page: totals and breakdowns of the stats recorded by the background worker
+
+const DAILY_TABLE_DAYS = 14;
+
+// Usage statistics as stored under USAGE_STATS_KEY
+let usageStats = {};
+
+/**
+ * Initialize stats page
+ */
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadStats();
+
+  document.getElementById('breakdownGroup').addEventListener('change', renderBreakdown);
+  document.getElementById('breakdownPeriod').addEventListener('change', renderBreakdown);
+  document.getElementById('resetStats').addEventListener('click', handleResetStats);
+
+  // Keep the page current while completions are being made
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[USAGE_STATS_KEY]) {
+      usageStats = changes[USAGE_STATS_KEY].newValue || {};
+      renderStats();
+    }
+  });
+});
+
+/**
+ * Load usage statistics from local storage and render them
+ */
+async function loadStats() {
+  try {
+    const { [USAGE_STATS_KEY]: stats } = await chrome.storage.local.get(USAGE_STATS_KEY);
+    usageStats = stats || {};
+    renderStats();
+  } catch (error) {
+    console.error('Error loading usage statistics:', error);
+  }
+}
+
+/**
+ * Render all sections of the page
+ */
+function renderStats() {
+  renderSummary(document.getElementById('summaryToday'), 'Today', getRecentDayKeys(1));
+  renderSummary(document.getElementById('summaryWeek'), 'Last 7 days', getRecentDayKeys(7));
+  renderSummary(document.getElementById('summaryMonth'), 'Last 30 days', getRecentDayKeys(30));
+  renderDailyTable();
+  renderBreakdown();
+}
+
+/**
+ * Format a cost in dollars, with more precision for small amounts
+ */
+function formatCost(cost) {
+  return `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Format a token or request count
+ */
+function formatCount(count) {
+  return count.toLocaleString();
+}
+
+/**
+ * Format the average latency of requests the provider answered
+ */
+function formatLatency(totals) {
+  const answered = totals.requests - totals.cacheHits - totals.cancelled - totals.failed;
+  return answered > 0 ? `${Math.round(totals.latencyMs / answered)} ms` : '-';
+}
+
+/**
+ * Render a summary card for a period
+ */
+function renderSummary(card, title, days) {
+  const totals = sumUsageTotals(usageStats, days);
+
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+
+  const cost = document.createElement('div');
+  cost.className = 'summary-cost';
+  cost.textContent = formatCost(totals.cost) + (totals.unpriced > 0 ? '+' : '');
+  if (totals.unpriced > 0) {
+    cost.title = `${formatCount(totals.unpriced)} requests to models with unknown pricing are not included`;
+  }
+
+  const detail = document.createElement('div');
+  detail.className = 'summary-detail';
+  detail.textContent = `${formatCount(totals.requests)} requests, ${formatCount(totals.cacheHits)} from cache, ${formatCount(totals.cancelled)} cancelled`;
+  detail.appendChild(document.createElement('br'));
+  detail.append(`${formatCount(totals.promptTokens + totals.completionTokens)} tokens, ${formatCount(totals.accepted)} accepted`);
+
+  card.replaceChildren(heading, cost, detail);
+}
+
+/**
+ * Create a table row from cell values
+ */
+function createRow(values) {
+  const row = document.createElement('tr');
+  values.forEach(value => {
+    const cell = document.createElement('td');
+    cell.textContent = value;
+    cell.title = value;
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+/**
+ * Create the row shown in an empty table
+ */
+function createEmptyRow(message) {
+  const row = document.createElement('tr');
+  row.className = 'empty-row';
+
+  const cell = document.createElement('td');
+  cell.colSpan = 11;
+  cell.textContent = message;
+  row.appendChild(cell);
+
+  return row;
+}
+
+/**
+ * Render the totals for each recent day
+ */
+function renderDailyTable() {
+  const table = document.getElementById('dailyTable');
+  const rows = getRecentDayKeys(DAILY_TABLE_DAYS)
+    .filter(day => usageStats[day])
+    .map(day => {
+      const totals = sumUsageTotals(usageStats, [day]);
+      return createRow([
+        day,
+        formatCount(totals.requests),
+        formatCount(totals.cacheHits),
+        formatCount(totals.cancelled),
+        formatCount(totals.failed),
+        formatCount(totals.promptTokens),
+        formatCount(totals.completionTokens),
+        formatLatency(totals),
+        formatCount(totals.accepted),
+        formatCost(totals.cost)
+      ]);
+    });
+
+  table.replaceChildren(...(rows.length > 0 ? rows : [createEmptyRow('No completions in the last two weeks')]));
+}
+
+/**
+ * Render the per-site or per-model breakdown for the selected period, most expensive first
+ */
+function renderBreakdown() {
+  const groupBy = document.getElementById('breakdownGroup').value;
+  const period = Number(document.getElementById('breakdownPeriod').value);
+  const groups = sumUsageTotals(usageStats, getRecentDayKeys(period), groupBy);
+
+  document.getElementById('breakdownHeading').textContent = groupBy === 'site' ? 'Site' : 'Model';
+
+  const rows = Object.keys(groups)
+    .sort((a, b) => groups[b].cost - groups[a].cost || groups[b].requests - groups[a].requests)
+    .map(group => {
+      const totals = groups[group];
+      return createRow([
+        group,
+        formatCount(totals.requests),
+        formatCount(totals.cacheHits),
+        formatCount(totals.cancelled),
+        formatCount(totals.failed),
+        formatCount(totals.promptTokens),
+        formatCount(totals.completionTokens),
+        formatCount(totals.accepted),
+        formatAcceptanceRate(totals),
+        formatAcceptedLength(totals),
+        formatCost(totals.cost)
+      ]);
+    });
+
+  document.getElementById('breakdownTable')
+    .replaceChildren(...(rows.length > 0 ? rows : [createEmptyRow('No completions in this period')]));
+}
+
+/**
+ * Delete all recorded usage statistics
+ */
+async function handleResetStats() {
+  if (!confirm('Delete all usage statistics?')) {
+    return;
+  }
+
+  try {
+    await chrome.storage.local.remove(USAGE_STATS_KEY);
+    usageStats = {};
+    renderStats();
+  } catch (error) {
+    console.error('Error resetting usage statistics:', error);
+  }
+}